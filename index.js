@@ -1,6 +1,38 @@
 const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+const { isMainThread, parentPort } = require('worker_threads');
 const { RollStartsManager } = require('./src/manager.js');
-const { IPC_DEFAULT_TIMEOUT_MS, RS_CONSTANTS } = require('./src/constants.js');
+const { RollStartsSupervisor } = require('./src/supervisor.js');
+const {
+    IPC_DEFAULT_TIMEOUT_MS,
+    KILL_DEFAULT_TIMEOUT_MS,
+    HANDOFF_DEFAULT_TIMEOUT_MS,
+    HANDOFF_DEFAULT_MAX_BYTES,
+    RS_CONSTANTS,
+} = require('./src/constants.js');
+const { encode, decode } = require('./src/ipc.js');
+const { find_config, load_config } = require('./src/config.js');
+const { default_pid_path, clean_stale } = require('./src/pidfile.js');
+
+// The channel to the master process which is the IPC channel of a child process or the parent port of a worker thread
+const channel = isMainThread ? process : thread_channel(parentPort);
+
+/**
+ * Wraps the parent port of a worker thread with the parts of the IPC channel interface of a child process which are used to talk to the master process.
+ * @param {import('worker_threads').MessagePort} port
+ */
+function thread_channel(port) {
+    return {
+        connected: true,
+        send(message) {
+            port.postMessage(message);
+            return true;
+        },
+        on: (event, listener) => port.on(event, listener),
+        removeListener: (event, listener) => port.removeListener(event, listener),
+    };
+}
 
 /**
  * Returns `true` if the current process is a master process which can start an application and manage sub-processes for zero-downtime rolling restarts.
@@ -17,13 +49,14 @@ function master() {
 /**
  * Triggers a rolling restart of the application.
  * Note! This method can ONLY be called from a child process, not the master process.
+ * @param {string} [app] The name of a sibling app to restart instead when the application is run by `supervise()`.
  */
-function restart() {
+function restart(app) {
     // Ensure this is not a master process
     if (!master()) {
         // Send a request to restart the application
         // We do not have to de-duplicate this request as the master process manager will automaticaly de-duplicate all restart requests
-        return process.send(RS_CONSTANTS.REQUEST_RESTART);
+        return channel.send(encode(RS_CONSTANTS.REQUEST_RESTART, app !== undefined ? { app } : undefined));
     }
 
     // Throw an error if this is not a child process
@@ -42,7 +75,7 @@ function exit(code) {
     if (!master()) {
         // Send a request to exit the application
         // We do not have to de-duplicate this request as the master process manager will automaticaly de-duplicate all exit requests
-        return process.send(`${RS_CONSTANTS.REQUEST_EXIT}${code}`);
+        return channel.send(encode(RS_CONSTANTS.REQUEST_EXIT, { code }));
     }
 
     // Throw an error if this is not a child process
@@ -53,6 +86,7 @@ function exit(code) {
 
 /**
  * Starts an application with zero-downtime rolling restarts using the path to the root Javascript file.
+ * When no path is provided, the options are loaded from a `rollstarts.config.js` or `rollstarts.config.json` file within the working directory.
  * @param {import("./src/manager").RollStartsOptions} options
  * @returns {Promise<import("./src/manager").RollStartsManager>}
  */
@@ -63,37 +97,136 @@ async function start(options = {}) {
             'RollStarts: This process is NOT a master process and cannot be used to start an application. Please use the `master()` function to determine if this process is a master process.'
         );
 
+    // Resolve the configuration file which is looked up when it is requested or no path is provided
+    let config = options.config;
+    if (config === true || (config === undefined && !options.path)) {
+        config = find_config();
+        if (!config && options.config === true)
+            throw new Error(
+                'RollStarts: Unable to find a rollstarts.config.js or rollstarts.config.json file within the working directory.'
+            );
+    } else if (config) {
+        config = path.resolve(config);
+    }
+
+    // Ensure the root Javascript file is provided by the options or the configuration file and is accessible
+    // The manager loads the configuration file itself so it can reload it when it changes
+    if (config) options = { ...options, config };
+    await ensure_accessible(options.path || (config && load_config(config).path));
+
+    // Stop the child processes left behind by a previous master process which did not exit cleanly
+    const stale = await clean_stale_children(options);
+
+    // Return a new roll starts manager instance which reports the stale child processes once its listeners are bound
+    const manager = new RollStartsManager(options);
+    if (stale.length) setImmediate(() => manager.emit('stale', stale));
+    return manager;
+}
+
+/**
+ * Runs multiple named applications from a single master process with shared signal handling, logging and control.
+ * Each app is started once all of the apps listed in its `depends_on` option have started.
+ * @param {import("./src/supervisor").RollStartsSuperviseOptions} options
+ * @returns {Promise<import("./src/supervisor").RollStartsSupervisor>}
+ */
+async function supervise(options = {}) {
+    // Ensure that this is a master process
+    if (!master())
+        throw new Error(
+            'RollStarts: This process is NOT a master process and cannot be used to supervise applications. Please use the `master()` function to determine if this process is a master process.'
+        );
+
+    // Ensure at least one app is provided and the root Javascript file of each app is accessible
+    if (!options.apps || !Object.keys(options.apps).length)
+        throw new Error('RollStarts: The options.apps argument requires at least one app to supervise.');
+    for (const name in options.apps) await ensure_accessible(options.apps[name].path, name);
+
+    // Ensure the apps do not share a PID file as each app would overwrite and remove the PID file of the others
+    const pid_files = new Map();
+    for (const name in options.apps) {
+        const file = pid_path(options.apps[name], name);
+        if (!file) continue;
+        if (pid_files.has(file))
+            throw new Error(
+                `RollStarts: The apps "${pid_files.get(file)}" and "${name}" cannot share the PID file at "${file}".`
+            );
+        pid_files.set(file, name);
+    }
+
+    // Stop the child processes left behind by a previous master process of any app which did not exit cleanly
+    const stale = {};
+    for (const name in options.apps) stale[name] = await clean_stale_children(options.apps[name], name);
+
+    // Return a new roll starts supervisor instance which reports the stale child processes of each app once its listeners are bound
+    const supervisor = new RollStartsSupervisor(options);
+    setImmediate(() => {
+        for (const name in stale) if (stale[name].length) supervisor.emit('stale', stale[name], name);
+    });
+    return supervisor;
+}
+
+/**
+ * Ensures the path to a root Javascript file is provided and accessible.
+ * @param {string} path
+ * @param {string} [app] The name of the app which the path belongs to.
+ */
+async function ensure_accessible(path, app) {
+    const option = app !== undefined ? `options.apps.${app}.path` : 'options.path';
+
     // Ensure the user provides a path to the root Javascript file
-    if (!options.path) throw new Error('RollStarts: The options.path argument is required to start an application.');
+    if (!path) throw new Error(`RollStarts: The ${option} argument is required to start an application.`);
 
     // Ensure that the path to the root Javascript file is accessible
     try {
-        await fs.promises.access(options.path);
+        await fs.promises.access(path);
     } catch (cause) {
         throw new Error(
-            `RollStarts: Unable to access the application path at "${options.path}". Please ensure the file exists and is accessible.`,
+            `RollStarts: Unable to access the application path at "${path}". Please ensure the file exists and is accessible.`,
             {
                 cause,
             }
         );
     }
+}
 
-    // Return a new roll starts manager instance
-    return new RollStartsManager(options);
+/**
+ * Returns the path of the PID file of an application or `null` if the PID file is disabled.
+ * @param {import("./src/manager").RollStartsOptions} options
+ * @param {string} [name] The name of the app when it is run by a supervisor.
+ * @returns {string|null}
+ */
+function pid_path(options, name) {
+    if (!options.pid_file) return null;
+    return typeof options.pid_file === 'string'
+        ? path.resolve(options.pid_file)
+        : default_pid_path(process.cwd(), name);
+}
+
+/**
+ * Stops the child processes recorded within the PID file by a previous master process if the PID file is enabled.
+ * @param {import("./src/manager").RollStartsOptions} options
+ * @param {string} [name] The name of the app when it is run by a supervisor.
+ * @returns {Promise<number[]>} The PIDs of the stale child processes which were stopped.
+ */
+async function clean_stale_children(options, name) {
+    const file = pid_path(options, name);
+    if (!file) return [];
+    return clean_stale(file, options.kill_timeout_ms || KILL_DEFAULT_TIMEOUT_MS);
 }
 
 let ready_promise = null;
 /**
- * Returns a `Promise` that resolves once a rolling restart is complete.
- * This means that the old process (if any) has exited and this process has fully replaced it.
- * Note! This can be useful to wait before starting a webserver for example in order to prevent port busy / reuse errors.
+ * Returns a `Promise` that resolves once this process has become the active process of its worker.
+ * This means that the old process (if any) has been asked to stop serving, or to suspend serving during a canary window, but it may still be draining its in-flight requests and has not necessarily exited.
+ * Note! A webserver which binds a port itself may therefore still see port busy / reuse errors until the old process has closed its servers.
+ * Servers retrieved with `server()` are shared with the old process and can be listened on at any time.
  * @returns {Promise<void>}
  */
 function ready() {
     // If this is an initial process, then immediately resolve
     if (process.env[RS_CONSTANTS.IS_ROLLSTARTS_INITIAL_PROCESS]) {
         // Send a ready to serve message to the master process
-        process.send(RS_CONSTANTS.IS_READY_TO_SERVE);
+        channel.send(encode(RS_CONSTANTS.IS_READY_TO_SERVE));
 
         // Return a promise to resolve once the process is ready
         return Promise.resolve();
@@ -102,7 +235,7 @@ function ready() {
     // If this is a recurring process, then send a ready to serve message to the master process and wait for a should begin to serve message
     if (process.env[RS_CONSTANTS.IS_ROLLSTARTS_RECURRING_PROCESS]) {
         // If the process is not connected to the master process, then reject the promise
-        if (!process.connected)
+        if (!channel.connected)
             return Promise.reject(
                 new Error(
                     'RollStarts: The process is not connected to the master process with an IPC channel. Please ensure the appropriate stdio streams are being passed to the child process to allow for IPC.'
@@ -120,7 +253,7 @@ function ready() {
             let listener;
             const timeout = setTimeout(() => {
                 // Remove the listener from the process
-                process.removeListener('message', listener);
+                channel.removeListener('message', listener);
 
                 // Reject the promise
                 reject(
@@ -132,17 +265,17 @@ function ready() {
 
             // Create a listener on the process to listen for the should begin to serve event.
             listener = (raw) => {
-                // Listen for incoming messages which are strings or contain a toString() method
-                const message = typeof raw === 'string' ? raw : raw.toString ? raw.toString() : undefined;
+                // Listen for incoming messages which are part of the rollstarts protocol
+                const message = decode(raw);
                 if (message) {
-                    switch (message) {
+                    switch (message.type) {
                         // Check for the should begin to serve message
                         case RS_CONSTANTS.SHOULD_BEGIN_TO_SERVE:
                             // Resolve the promise
                             resolve();
 
                             // Remove the listener from the process
-                            process.removeListener('message', listener);
+                            channel.removeListener('message', listener);
 
                             // Clear the timeout
                             clearTimeout(timeout);
@@ -152,16 +285,16 @@ function ready() {
             };
 
             // Bind the listener to the process
-            process.on('message', listener);
+            channel.on('message', listener);
 
             // Try to safely send the IPC message to negotiate the master process closing the old process and making this the active process
             try {
-                process.send(RS_CONSTANTS.IS_READY_TO_SERVE);
+                channel.send(encode(RS_CONSTANTS.IS_READY_TO_SERVE));
             } catch (error) {
                 // Reject the promise with the error
                 reject(error);
                 clearTimeout(timeout);
-                process.removeListener('message', listener);
+                channel.removeListener('message', listener);
             }
         });
 
@@ -177,10 +310,481 @@ function ready() {
     );
 }
 
+const server_promises = new Map();
+/**
+ * Returns a `Promise` that resolves with the handle of a server opened by the master process with the `listen` option.
+ * The handle can be passed directly to `http.Server#listen` or `net.Server#listen` to begin accepting connections.
+ * Note! This method can ONLY be called from a child process, not the master process.
+ * @param {string|number} [name] The name of the server which defaults to its port or path. If not provided, then the first server is used.
+ * @returns {Promise<Object>}
+ */
+function server(name) {
+    // Reject with a promise to ensure the user does not mis-use this function
+    if (master())
+        return Promise.reject(
+            new Error(
+                'RollStarts: This process is NOT a child process and cannot retrieve a server. Please use the `master()` function to determine if this process is a master or child process.'
+            )
+        );
+
+    // If there is already a promise for this server, then return it
+    name = name === undefined ? '' : String(name);
+    if (server_promises.has(name)) return server_promises.get(name);
+
+    // Return a Promise which resolves once the master process sends the server handle
+    const promise = new Promise((resolve, reject) => {
+        const ipc_timeout_ms = +process.env[RS_CONSTANTS.IPC_TIMEOUT_MS] || IPC_DEFAULT_TIMEOUT_MS;
+
+        // Set a timeout to reject the promise if the process does not respond within the IPC timeout period
+        let listener;
+        const timeout = setTimeout(() => {
+            // Remove the listener from the process
+            channel.removeListener('message', listener);
+
+            // Reject the promise
+            reject(
+                new Error(`RollStarts: The Master Process Did Not Respond Within The IPC Delay Of ${ipc_timeout_ms}ms`)
+            );
+        }, ipc_timeout_ms);
+
+        // Create a listener on the process to listen for the server handle event.
+        listener = (raw, handle) => {
+            // Listen for incoming messages which are part of the rollstarts protocol
+            const message = decode(raw);
+            if (message && message.type === RS_CONSTANTS.SERVER_HANDLE && message.data && message.data.name === name) {
+                // Remove the listener from the process
+                channel.removeListener('message', listener);
+
+                // Clear the timeout
+                clearTimeout(timeout);
+
+                // Resolve with the handle or reject if the master process does not have such a server
+                if (handle) return resolve(handle);
+                reject(
+                    new Error(
+                        `RollStarts: The master process does not have a server named "${name}". Please ensure it is declared within the listen option.`
+                    )
+                );
+            }
+        };
+
+        // Bind the listener to the process
+        channel.on('message', listener);
+
+        // Try to safely send the IPC message to request the server handle
+        try {
+            channel.send(encode(RS_CONSTANTS.REQUEST_SERVER, { name }));
+        } catch (error) {
+            // Reject the promise with the error
+            reject(error);
+            clearTimeout(timeout);
+            channel.removeListener('message', listener);
+        }
+    });
+
+    // Forget failed requests so they can be retried
+    server_promises.set(name, promise);
+    promise.catch(() => server_promises.delete(name));
+    return promise;
+}
+
+/**
+ * Returns a `Promise` that resolves with the status of the generation of this process as known by the master process.
+ * The status includes the reason this process was started, such as `start`, `watch`, `child`, `signal` or `recover`, and the process it replaces.
+ * The reason of the initial start is `start` and the reason of a restart requested by a child process with `restart()` is `child`.
+ * Note! This can be useful to skip expensive warmups, for example after a recovery from a crash.
+ * Note! This method can ONLY be called from a child process, not the master process.
+ * @returns {Promise<import("./src/manager").RollStartsStatus>}
+ */
+function status() {
+    // Reject with a promise to ensure the user does not mis-use this function
+    if (master())
+        return Promise.reject(
+            new Error(
+                'RollStarts: This process is NOT a child process and cannot query its status. Please use the `master()` function to determine if this process is a master or child process.'
+            )
+        );
+
+    // Return a Promise which resolves once the master process sends the status
+    return new Promise((resolve, reject) => {
+        const ipc_timeout_ms = +process.env[RS_CONSTANTS.IPC_TIMEOUT_MS] || IPC_DEFAULT_TIMEOUT_MS;
+
+        // Set a timeout to reject the promise if the process does not respond within the IPC timeout period
+        let listener;
+        const timeout = setTimeout(() => {
+            // Remove the listener from the process
+            channel.removeListener('message', listener);
+
+            // Reject the promise
+            reject(
+                new Error(`RollStarts: The Master Process Did Not Respond Within The IPC Delay Of ${ipc_timeout_ms}ms`)
+            );
+        }, ipc_timeout_ms);
+
+        // Create a listener on the process to listen for the status event.
+        listener = (raw) => {
+            // Listen for incoming messages which are part of the rollstarts protocol
+            const message = decode(raw);
+            if (message && message.type === RS_CONSTANTS.STATUS) {
+                // Remove the listener from the process
+                channel.removeListener('message', listener);
+
+                // Clear the timeout
+                clearTimeout(timeout);
+
+                // Resolve with the status
+                resolve(message.data);
+            }
+        };
+
+        // Bind the listener to the process
+        channel.on('message', listener);
+
+        // Try to safely send the IPC message to request the status
+        try {
+            channel.send(encode(RS_CONSTANTS.REQUEST_STATUS));
+        } catch (error) {
+            // Reject the promise with the error
+            reject(error);
+            clearTimeout(timeout);
+            channel.removeListener('message', listener);
+        }
+    });
+}
+
+let drain_promise = null;
+let drain_resolve = null;
+/**
+ * Returns a `Promise` that resolves once the master process asks this process to stop serving.
+ * This happens when this process is being replaced by a rolling restart or the application is shutting down.
+ * Note! Calling this function registers this process to be gracefully drained by the master process instead of being immediately sent a SIGTERM.
+ * @returns {Promise<void>}
+ */
+function draining() {
+    // If there is already a drain promise, then return it
+    if (drain_promise) return drain_promise;
+
+    // Reject with a promise to ensure the user does not mis-use this function
+    if (master())
+        return Promise.reject(
+            new Error(
+                'RollStarts: This process is NOT a child process and cannot be drained. Please use the `master()` function to determine if this process is a master or child process.'
+            )
+        );
+
+    // Return a Promise which resolves once the master process sends a should stop serving message or this process is orphaned
+    drain_promise = new Promise((resolve, reject) => {
+        drain_resolve = resolve;
+
+        // Create a listener on the process to listen for the should stop serving event.
+        const listener = (raw) => {
+            // Listen for incoming messages which are part of the rollstarts protocol
+            const message = decode(raw);
+            if (message && message.type === RS_CONSTANTS.SHOULD_STOP_SERVING) {
+                // Remove the listener from the process
+                channel.removeListener('message', listener);
+
+                // Resolve the promise
+                resolve();
+            }
+        };
+
+        // Bind the listener to the process
+        channel.on('message', listener);
+
+        // Try to safely register this process as able to drain with the master process
+        try {
+            channel.send(encode(RS_CONSTANTS.IS_ABLE_TO_DRAIN));
+        } catch (error) {
+            // Reject the promise with the error
+            reject(error);
+            channel.removeListener('message', listener);
+        }
+    });
+
+    // Return the drain promise
+    return drain_promise;
+}
+
+const shutdown_handlers = [];
+/**
+ * Registers a handler which is called once the master process asks this process to stop serving.
+ * Once all of the registered handlers have settled, this process exits so the master process does not have to escalate to a SIGTERM.
+ * Note! This method can ONLY be called from a child process, not the master process.
+ * @param {function():any|Promise<any>} handler The handler to call, such as one which closes your webservers.
+ */
+function onShutdown(handler) {
+    // Ensure this is not a master process
+    if (master())
+        throw new Error(
+            'RollStarts: This process is NOT a child process and cannot register a shutdown handler. Please use the `master()` function to determine if this process is a master or child process.'
+        );
+
+    // Store the handler and only bind to the drain promise for the first handler
+    shutdown_handlers.push(handler);
+    if (shutdown_handlers.length > 1) return;
+
+    // Run all the shutdown handlers once this process is asked to stop serving and then exit the process
+    draining()
+        .then(() => Promise.allSettled(shutdown_handlers.map(async (handler) => handler())))
+        .then(() => process.exit())
+        .catch(() => {});
+}
+
+let handoff_serializer = null;
+/**
+ * Registers a serializer which provides a snapshot of the state of this process once its replacement asks for it with `inherited()`.
+ * The snapshot must be serializable over the IPC channel and is dropped if it takes too long to produce or is too large, in which case it is never sent.
+ * Note! This method can ONLY be called from a child process, not the master process.
+ * @param {function():any|Promise<any>} serializer The serializer to call, such as one which returns the entries of a cache.
+ */
+function handoff(serializer) {
+    // Ensure this is not a master process
+    if (master())
+        throw new Error(
+            'RollStarts: This process is NOT a child process and cannot hand off its state. Please use the `master()` function to determine if this process is a master or child process.'
+        );
+
+    // Replace the serializer and only bind the listener for the first serializer
+    const registered = handoff_serializer !== null;
+    handoff_serializer = serializer;
+    if (registered) return;
+
+    // Serialize the state whenever the master process asks for it on behalf of the replacement
+    channel.on('message', async (raw) => {
+        const message = decode(raw);
+        if (!message || message.type !== RS_CONSTANTS.SHOULD_HANDOFF) return;
+
+        let data;
+        try {
+            data = { state: await handoff_serializer() };
+
+            // Drop the state before it crosses the IPC channel if it exceeds the size limit
+            const max_bytes = +process.env[RS_CONSTANTS.HANDOFF_MAX_BYTES] || HANDOFF_DEFAULT_MAX_BYTES;
+            const bytes = Buffer.byteLength(JSON.stringify(data.state) || '');
+            if (bytes > max_bytes)
+                data = { error: `The state of ${bytes} bytes exceeds the limit of ${max_bytes} bytes.` };
+        } catch (error) {
+            data = { error: error.message };
+        }
+
+        try {
+            channel.send(encode(RS_CONSTANTS.HANDOFF_STATE, data));
+        } catch (error) {}
+    });
+
+    // Try to safely register this process as able to hand off its state with the master process
+    try {
+        channel.send(encode(RS_CONSTANTS.IS_ABLE_TO_HANDOFF));
+    } catch (error) {}
+}
+
+let inherited_promise = null;
+/**
+ * Returns a `Promise` that resolves with the state handed off by the process this process replaces.
+ * Resolves with `undefined` if this is the initial process or the old process did not provide its state in time.
+ * Rejects if the master process does not relay the state within the handoff timeout and the IPC timeout.
+ * Note! Call this before or while awaiting `ready()` so the state is restored before this process begins to serve.
+ * @returns {Promise<any>}
+ */
+function inherited() {
+    // If there is already an inherited promise, then return it
+    if (inherited_promise) return inherited_promise;
+
+    // Reject with a promise to ensure the user does not mis-use this function
+    if (master())
+        return Promise.reject(
+            new Error(
+                'RollStarts: This process is NOT a child process and cannot inherit state. Please use the `master()` function to determine if this process is a master or child process.'
+            )
+        );
+
+    // The initial process has no process to inherit state from
+    if (process.env[RS_CONSTANTS.IS_ROLLSTARTS_INITIAL_PROCESS]) return (inherited_promise = Promise.resolve());
+
+    // Return a Promise which resolves once the master process relays the state of the old process
+    inherited_promise = new Promise((resolve, reject) => {
+        // The master process waits for the old process for up to the handoff timeout before it relays the state
+        const ipc_timeout_ms =
+            (+process.env[RS_CONSTANTS.IPC_TIMEOUT_MS] || IPC_DEFAULT_TIMEOUT_MS) +
+            (+process.env[RS_CONSTANTS.HANDOFF_TIMEOUT_MS] || HANDOFF_DEFAULT_TIMEOUT_MS);
+
+        // Set a timeout to reject the promise if the process does not respond within the IPC timeout period
+        let listener;
+        const timeout = setTimeout(() => {
+            // Remove the listener from the process
+            channel.removeListener('message', listener);
+
+            // Reject the promise
+            reject(
+                new Error(`RollStarts: The Master Process Did Not Respond Within The IPC Delay Of ${ipc_timeout_ms}ms`)
+            );
+        }, ipc_timeout_ms);
+
+        listener = (raw) => {
+            const message = decode(raw);
+            if (message && message.type === RS_CONSTANTS.INHERITED_STATE) {
+                channel.removeListener('message', listener);
+                clearTimeout(timeout);
+                resolve(message.data.state);
+            }
+        };
+        channel.on('message', listener);
+
+        // Try to safely request the state of the old process from the master process
+        try {
+            channel.send(encode(RS_CONSTANTS.REQUEST_HANDOFF));
+        } catch (error) {
+            reject(error);
+            clearTimeout(timeout);
+            channel.removeListener('message', listener);
+        }
+    });
+
+    return inherited_promise;
+}
+
+/**
+ * Sends an application message to the master process.
+ * Note! The master process receives these messages with the 'message' event of the manager.
+ * Note! This method can ONLY be called from a child process, not the master process.
+ * @param {any} message The message which must be serializable over the IPC channel.
+ * @returns {boolean}
+ */
+function send(message) {
+    // Ensure this is not a master process
+    if (!master()) return channel.send(encode(RS_CONSTANTS.MESSAGE, message));
+
+    // Throw an error if this is not a child process
+    throw new Error(
+        'RollStarts: This process is NOT a child process and cannot be used to send a message. Please use the `master()` function to determine if this process is a master or child process.'
+    );
+}
+
+// Emits the application messages received from the master process separately from the rollstarts control messages
+// The 'suspend' and 'resume' events are emitted when a canary window suspends this process and when a rollback resumes it
+// The 'orphaned' event is emitted once the master process has gone silent and this process is about to exit
+const emitter = new EventEmitter();
+const EMITTED_MESSAGES = {
+    [RS_CONSTANTS.MESSAGE]: 'message',
+    [RS_CONSTANTS.SHOULD_SUSPEND_SERVING]: 'suspend',
+    [RS_CONSTANTS.SHOULD_RESUME_SERVING]: 'resume',
+};
+let message_listener = null;
+
+/**
+ * Registers a listener for the application messages sent by the master process with `broadcast()` or `send()`.
+ * The `suspend` and `resume` events are emitted when a canary window suspends this process from serving and when a rollback brings it back.
+ * The `orphaned` event is emitted once the master process has exited or gone silent, this process then exits after the drain timeout.
+ * Note! This method can ONLY be called from a child process, not the master process.
+ * @param {'message'|'suspend'|'resume'|'orphaned'} event
+ * @param {function(any):void} listener
+ */
+function on(event, listener) {
+    // Ensure this is not a master process
+    if (master())
+        throw new Error(
+            'RollStarts: This process is NOT a child process and cannot be used to receive messages. Please use the `master()` function to determine if this process is a master or child process.'
+        );
+
+    // Bind a single listener on the process which forwards the application messages to the emitter
+    if (!message_listener) {
+        message_listener = (raw) => {
+            const message = decode(raw);
+            if (message && EMITTED_MESSAGES[message.type]) emitter.emit(EMITTED_MESSAGES[message.type], message.data);
+        };
+        channel.on('message', message_listener);
+    }
+
+    emitter.on(event, listener);
+}
+
+/**
+ * Removes a listener which was registered with `on()`.
+ * @param {'message'|'suspend'|'resume'|'orphaned'} event
+ * @param {function(any):void} listener
+ */
+function off(event, listener) {
+    emitter.removeListener(event, listener);
+
+    // Unbind the process listener once there are no more listeners so the IPC channel no longer keeps this process alive
+    if (message_listener && Object.values(EMITTED_MESSAGES).every((name) => emitter.listenerCount(name) === 0)) {
+        channel.removeListener('message', message_listener);
+        message_listener = null;
+    }
+}
+
+/**
+ * Watches the heartbeats of the master process so this process does not outlive it as an orphan.
+ * Once the master process has exited or gone silent, this process drains like it does for a shutdown and then exits.
+ * Note! A 'message' listener keeps the IPC channel and therefore this process alive, so the heartbeats are only counted while another listener such as the one of `onShutdown()` already does.
+ * Otherwise only a disconnected IPC channel is noticed.
+ */
+function watch_master() {
+    const interval_ms = +process.env[RS_CONSTANTS.HEARTBEAT_INTERVAL_MS];
+    const timeout_ms = +process.env[RS_CONSTANTS.HEARTBEAT_TIMEOUT_MS];
+    const drain_timeout_ms = +process.env[RS_CONSTANTS.DRAIN_TIMEOUT_MS];
+
+    // Count any message from the master process as a heartbeat while the silence is being measured
+    let last_heartbeat = null;
+    const on_heartbeat = () => (last_heartbeat = Date.now());
+
+    // Follow the other 'message' listeners of this process once they have been added or removed
+    const follow_listeners = () =>
+        setImmediate(() => {
+            const listening = process.listeners('message').includes(on_heartbeat);
+            const others = process.listenerCount('message') - (listening ? 1 : 0);
+            if (others > 0 && !listening) {
+                // Begin measuring the silence from now on as the heartbeats before were not counted
+                last_heartbeat = Date.now();
+                process.on('message', on_heartbeat);
+            } else if (others === 0 && listening) {
+                last_heartbeat = null;
+                process.removeListener('message', on_heartbeat);
+            }
+        });
+    const on_listener = (event, listener) => event === 'message' && listener !== on_heartbeat && follow_listeners();
+    process.on('newListener', on_listener);
+    process.on('removeListener', on_listener);
+    follow_listeners();
+
+    const interval = setInterval(() => {
+        // Send a heartbeat while the IPC channel is still connected
+        const silent = last_heartbeat !== null && timeout_ms > 0 && Date.now() - last_heartbeat >= timeout_ms;
+        if (process.connected && !silent)
+            try {
+                return process.send(encode(RS_CONSTANTS.HEARTBEAT));
+            } catch (error) {}
+
+        // Drain through the registered shutdown handlers and exit once the drain timeout has passed
+        clearInterval(interval);
+        process.removeListener('newListener', on_listener);
+        process.removeListener('removeListener', on_listener);
+        emitter.emit('orphaned');
+        if (!drain_promise && !emitter.listenerCount('orphaned')) return process.exit(1);
+        if (drain_resolve) drain_resolve();
+        setTimeout(() => process.exit(1), drain_timeout_ms).unref();
+    }, interval_ms);
+    interval.unref();
+}
+
+// Begin watching the heartbeats of the master process within child processes
+if (!master() && process.connected && process.env[RS_CONSTANTS.HEARTBEAT_INTERVAL_MS]) watch_master();
+
 module.exports = {
     master,
     restart,
     exit,
     start,
+    supervise,
     ready,
+    server,
+    status,
+    draining,
+    onShutdown,
+    handoff,
+    inherited,
+    send,
+    on,
+    off,
 };
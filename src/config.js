@@ -0,0 +1,109 @@
+const fs = require('fs');
+const path = require('path');
+
+// The names of the configuration files which are looked up within the working directory in order
+const CONFIG_FILES = ['rollstarts.config.js', 'rollstarts.config.json'];
+
+/**
+ * Returns the path of the configuration file within a directory or `undefined` if there is none.
+ * @param {string} [cwd=process.cwd()]
+ * @returns {string|undefined}
+ */
+function find_config(cwd = process.cwd()) {
+    for (const name of CONFIG_FILES) {
+        const file = path.resolve(cwd, name);
+        if (fs.existsSync(file)) return file;
+    }
+}
+
+/**
+ * Loads the options from a configuration file.
+ * A Javascript file exports the options or a function which returns them while a JSON file contains them.
+ * The `path` and `env_file` options are resolved relative to the directory of the configuration file.
+ * @param {string} file The absolute path of the configuration file.
+ * @param {boolean} [fresh=false] Whether to bypass the module cache so changes to a Javascript file are picked up.
+ * @returns {import('./manager.js').RollStartsOptions}
+ */
+function load_config(file, fresh = false) {
+    let options;
+    try {
+        if (path.extname(file) === '.json') {
+            options = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } else {
+            if (fresh) delete require.cache[require.resolve(file)];
+            options = require(file);
+            if (typeof options === 'function') options = options();
+        }
+    } catch (cause) {
+        throw new Error(`RollStarts: Unable to load the configuration file at "${file}". ${cause.message}`, {
+            cause,
+        });
+    }
+
+    // Ensure the configuration file provides an object of options
+    if (!options || typeof options !== 'object' || Array.isArray(options))
+        throw new Error(`RollStarts: The configuration file at "${file}" must provide an object of options.`);
+
+    // Resolve the paths relative to the configuration file so it works from any working directory
+    const directory = path.dirname(file);
+    options = { ...options };
+    if (typeof options.path === 'string') options.path = path.resolve(directory, options.path);
+    if (options.env_file !== undefined)
+        options.env_file = [].concat(options.env_file).map((env_file) => path.resolve(directory, env_file));
+    return options;
+}
+
+/**
+ * Parses the contents of an environment file of `KEY=value` lines.
+ * Supports comments, an optional `export` prefix and single or double quoted values where double quoted values may contain escaped newlines.
+ * @param {string} content
+ * @returns {Object<string, string>}
+ */
+function parse_env(content) {
+    const variables = {};
+    for (const line of content.split(/\r?\n/)) {
+        const match = /^\s*(?:export\s+)?([\w.-]+)\s*=\s*(.*?)\s*$/.exec(line);
+        if (!match) continue;
+
+        let [, key, value] = match;
+        const quoted = /^(["'])(.*)\1(?:\s+#.*)?$/.exec(value);
+        if (quoted) {
+            value = quoted[2];
+            if (quoted[1] === '"') value = value.replace(/\\n/g, '\n').replace(/\\r/g, '\r').replace(/\\"/g, '"');
+        } else {
+            // Strip an inline comment from an unquoted value
+            value = value.replace(/\s+#.*$/, '');
+        }
+        variables[key] = value;
+    }
+    return variables;
+}
+
+/**
+ * Reads and merges environment files where variables of later files override those of earlier files.
+ * Note! The files are read synchronously as they are small and must be read before each generation is spawned.
+ * @param {string|string[]} files
+ * @returns {Object<string, string>}
+ */
+function load_env_files(files) {
+    const variables = {};
+    for (const file of [].concat(files)) {
+        let content;
+        try {
+            content = fs.readFileSync(file, 'utf8');
+        } catch (cause) {
+            throw new Error(`RollStarts: Unable to read the environment file at "${file}". ${cause.message}`, {
+                cause,
+            });
+        }
+        Object.assign(variables, parse_env(content));
+    }
+    return variables;
+}
+
+module.exports = {
+    find_config,
+    load_config,
+    parse_env,
+    load_env_files,
+};
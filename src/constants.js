@@ -1,18 +1,84 @@
 // This is a sufficient IPC timeout to prevent hanging processes
 const IPC_DEFAULT_TIMEOUT_MS = 5000;
 
+// This is a sufficient period for most applications to start up and become ready to serve
+const STARTUP_DEFAULT_TIMEOUT_MS = 60000;
+
+// This is a sufficient period for most applications to finish serving in-flight requests
+const DRAIN_DEFAULT_TIMEOUT_MS = 10000;
+
+// This is a sufficient period for a process to exit after receiving a SIGTERM before it is killed with a SIGKILL
+const KILL_DEFAULT_TIMEOUT_MS = 5000;
+
+// This is a sufficient period for an old process to serialize its state for its replacement
+const HANDOFF_DEFAULT_TIMEOUT_MS = 5000;
+
+// This is a sufficient size for caches and session metadata without slowing down the swap
+const HANDOFF_DEFAULT_MAX_BYTES = 1024 * 1024;
+
+// This is a sufficient interval to notice a silent master or child process within seconds without flooding the IPC channel
+const HEARTBEAT_DEFAULT_INTERVAL_MS = 1000;
+
+// This is a sufficient period of silence to tolerate a busy event loop before a process is considered gone
+const HEARTBEAT_DEFAULT_TIMEOUT_MS = 10000;
+
+// This is a sufficient delay for a dependency such as a database to come back before a process is restarted by its exit policy
+const RESTART_DEFAULT_DELAY_MS = 5000;
+
+// The default actions of the signal handlers installed on the master process
+const DEFAULT_SIGNALS = {
+    SIGHUP: 'restart',
+    SIGUSR2: 'restart',
+    SIGTERM: 'shutdown',
+    SIGINT: 'shutdown',
+};
+
 // Define constants for consistenty
+// The message constants are used as the type of the IPC envelopes sent between the master and child processes
 const RS_CONSTANTS = {
     IPC_TIMEOUT_MS: 'ROLLSTARTS_IPC_TIMEOUT_MS', // Contains the string version of the IPC timeout in milliseconds
     IS_READY_TO_SERVE: 'ROLLSTARTS_IS_READY_TO_SERVE', // This event is sent to the master process when a new rollstarts child process is ready to serving information
     SHOULD_BEGIN_TO_SERVE: 'ROLLSTARTS_SHOULD_BEGIN_TO_SERVE', // This event is sent to the child process to alert the new process to begin serving information
+    WORKER_ID: 'ROLLSTARTS_WORKER_ID', // Contains the string version of the worker slot id which the child process belongs to
+    GENERATION: 'ROLLSTARTS_GENERATION', // Contains the string version of the generation which the child process was started for
+    MASTER_PID: 'ROLLSTARTS_MASTER_PID', // Contains the string version of the PID of the master process which spawned the child process so a later master process can recognise it as stale
+    APP_NAME: 'ROLLSTARTS_APP_NAME', // Contains the name of the app which the child process belongs to when it is run by a supervisor
+    HEARTBEAT_INTERVAL_MS: 'ROLLSTARTS_HEARTBEAT_INTERVAL_MS', // Contains the string version of the interval in milliseconds at which heartbeats are sent
+    HEARTBEAT_TIMEOUT_MS: 'ROLLSTARTS_HEARTBEAT_TIMEOUT_MS', // Contains the string version of the time in milliseconds without a heartbeat after which the child process considers itself orphaned
+    DRAIN_TIMEOUT_MS: 'ROLLSTARTS_DRAIN_TIMEOUT_MS', // Contains the string version of the time in milliseconds an orphaned child process is given to drain before it exits
+    HANDOFF_TIMEOUT_MS: 'ROLLSTARTS_HANDOFF_TIMEOUT_MS', // Contains the string version of the time in milliseconds an old process is given to serialize its state for its replacement
+    HANDOFF_MAX_BYTES: 'ROLLSTARTS_HANDOFF_MAX_BYTES', // Contains the string version of the maximum size in bytes of the state which a child process hands off
+    HEARTBEAT: 'ROLLSTARTS_HEARTBEAT', // This event is periodically sent in both directions so the master and child processes know the other is still responsive
+    IS_ABLE_TO_DRAIN: 'ROLLSTARTS_IS_ABLE_TO_DRAIN', // This event is sent to the master process when a child process has registered to gracefully drain before it is stopped
+    SHOULD_STOP_SERVING: 'ROLLSTARTS_SHOULD_STOP_SERVING', // This event is sent to the child process to alert the old process to stop serving information and shut down
+    SHOULD_SUSPEND_SERVING: 'ROLLSTARTS_SHOULD_SUSPEND_SERVING', // This event is sent to the child process to alert the old process to stop serving information while a canary window is in progress
+    SHOULD_RESUME_SERVING: 'ROLLSTARTS_SHOULD_RESUME_SERVING', // This event is sent to the child process to alert the old process to resume serving information after a rollback
     IS_ROLLSTARTS_INITIAL_PROCESS: 'ROLLSTARTS_IS_ROLLSTARTS_INITIAL_PROCESS', // This environment variable is set to signify to the child process that it is the initial child process
     IS_ROLLSTARTS_RECURRING_PROCESS: 'ROLLSTARTS_IS_ROLLSTARTS_RECURRING_PROCESS', // This environment variable is set to signify to the child process that it is a recurring child process
     REQUEST_RESTART: 'ROLLSTARTS_REQUEST_RESTART', // This event is sent to the master process to request a rolling restart by an active process
-    REQUEST_EXIT: 'ROLLSTARTS_REQUEST_EXIT', // This event is sent to the master process to request a rolling restart by an active process
+    REQUEST_SERVER: 'ROLLSTARTS_REQUEST_SERVER', // This event is sent to the master process with a name to request the handle of a listening server
+    SERVER_HANDLE: 'ROLLSTARTS_SERVER_HANDLE', // This event is sent to the child process with a name along with the handle of a listening server
+    REQUEST_EXIT: 'ROLLSTARTS_REQUEST_EXIT', // This event is sent to the master process with an exit code to request an exit of the whole application by an active process
+    IS_ABLE_TO_HANDOFF: 'ROLLSTARTS_IS_ABLE_TO_HANDOFF', // This event is sent to the master process when a child process has registered a serializer to hand off its state to its replacement
+    REQUEST_HANDOFF: 'ROLLSTARTS_REQUEST_HANDOFF', // This event is sent to the master process by a new process to request the state of the process it replaces
+    SHOULD_HANDOFF: 'ROLLSTARTS_SHOULD_HANDOFF', // This event is sent to the child process to alert the old process to serialize its state for its replacement
+    HANDOFF_STATE: 'ROLLSTARTS_HANDOFF_STATE', // This event is sent to the master process with the serialized state of the old process
+    INHERITED_STATE: 'ROLLSTARTS_INHERITED_STATE', // This event is sent to the child process with the state handed off by the process it replaces
+    REQUEST_STATUS: 'ROLLSTARTS_REQUEST_STATUS', // This event is sent to the master process by a child process to request the status of its generation
+    STATUS: 'ROLLSTARTS_STATUS', // This event is sent to the child process with the status of its generation
+    MESSAGE: 'ROLLSTARTS_MESSAGE', // This event carries an application message in either direction which is sent with the messaging API
 };
 
 module.exports = {
     IPC_DEFAULT_TIMEOUT_MS,
+    STARTUP_DEFAULT_TIMEOUT_MS,
+    DRAIN_DEFAULT_TIMEOUT_MS,
+    KILL_DEFAULT_TIMEOUT_MS,
+    HEARTBEAT_DEFAULT_INTERVAL_MS,
+    HEARTBEAT_DEFAULT_TIMEOUT_MS,
+    HANDOFF_DEFAULT_TIMEOUT_MS,
+    HANDOFF_DEFAULT_MAX_BYTES,
+    RESTART_DEFAULT_DELAY_MS,
+    DEFAULT_SIGNALS,
     RS_CONSTANTS,
 };
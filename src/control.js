@@ -0,0 +1,282 @@
+const os = require('os');
+const fs = require('fs');
+const net = require('net');
+const path = require('path');
+const crypto = require('crypto');
+
+// The events of the manager and the captured lines of the child processes which are streamed to clients of the logs command
+// Note! The 'error' event is not streamed as listening to it would prevent the manager from throwing unhandled errors
+const LOG_EVENTS = [
+    'active',
+    'exit',
+    'recover',
+    'crash-loop',
+    'restart',
+    'startup-timeout',
+    'rollback',
+    'hook-failed',
+    'liveness-failed',
+    'unresponsive',
+    'inspector',
+    'log',
+];
+
+/**
+ * Returns the default path of the control endpoint for a working directory.
+ * This is a Unix socket within the working directory or a named pipe on Windows.
+ * @param {string} [cwd=process.cwd()]
+ * @returns {string}
+ */
+function default_control_path(cwd = process.cwd()) {
+    // Named pipes live in their own namespace on Windows so the working directory is hashed to keep them unique
+    if (os.platform() === 'win32') {
+        const hash = crypto.createHash('sha1').update(path.resolve(cwd)).digest('hex').slice(0, 16);
+        return `\\\\.\\pipe\\rollstarts-${hash}`;
+    }
+
+    return path.join(path.resolve(cwd), '.rollstarts.sock');
+}
+
+/**
+ * Formats a manager event into a single human readable log line.
+ * @param {string} event
+ * @param {any[]} args
+ * @returns {string}
+ */
+function format_event(event, args) {
+    const time = new Date().toISOString();
+    switch (event) {
+        case 'active':
+            return `[${time}] active pid=${args[0].pid} worker=${args[1]}`;
+        case 'exit':
+            return `[${time}] exit pid=${args[0].pid} code=${args[1]} worker=${args[2]}`;
+        case 'recover':
+            return `[${time}] recover attempts=${args[0]} worker=${args[1]}`;
+        case 'crash-loop':
+            return `[${time}] crash-loop worker=${args[0]} code=${args[1]}`;
+        case 'restart':
+            return `[${time}] restart reason=${args[0]}`;
+        case 'startup-timeout':
+            return `[${time}] startup-timeout pid=${args[0].pid} worker=${args[1]}`;
+        case 'rollback':
+            return `[${time}] rollback pid=${args[0].pid} failed=${args[1].pid} worker=${args[2]}`;
+        case 'hook-failed':
+            // The output of the failing hook follows on the next lines
+            return (
+                `[${time}] hook-failed phase=${args[0].phase} error=${JSON.stringify(args[0].message)}\n` +
+                args[0].output
+            );
+        case 'liveness-failed':
+            return `[${time}] liveness-failed pid=${args[0].pid} worker=${args[1]} error=${JSON.stringify(
+                args[2].message
+            )}`;
+        case 'unresponsive':
+            return `[${time}] unresponsive pid=${args[0].pid} worker=${args[1]} silent_ms=${args[2]}`;
+        case 'inspector':
+            return `[${time}] inspector pid=${args[1].pid} worker=${args[2]} url=${args[0]}`;
+        case 'log':
+            return args[0].line;
+    }
+}
+
+/**
+ * Handles a single command received over the control endpoint.
+ * The manager may also be a supervisor in which case a command may name one of its apps with the `app` property.
+ * @param {import('./manager.js').RollStartsManager|import('./supervisor.js').RollStartsSupervisor} manager
+ * @param {Object} request
+ * @param {function(Object):void} reply
+ * @param {net.Socket} socket
+ */
+function handle_command(manager, request, reply, socket) {
+    // Route the command to a single app of a supervisor when one is named
+    const supervised = typeof manager.app === 'function';
+    let target = manager;
+    if (request.app !== undefined) {
+        target = supervised ? manager.app(request.app) : undefined;
+        if (!target) return reply({ ok: false, error: `RollStarts: Unknown app "${request.app}".` });
+    }
+
+    switch (request.command) {
+        case 'status':
+            return target.stats().then(
+                (result) => reply({ ok: true, result }),
+                (error) => reply({ ok: false, error: error.message })
+            );
+        case 'restart':
+            // A supervisor restarts all of its apps when no app is named
+            return (
+                target === manager && supervised ? manager.restart(undefined, 'control') : target.restart('control')
+            ).then(
+                () => reply({ ok: true, result: { workers: target.workers.map((child) => child && child.pid) } }),
+                (error) => reply({ ok: false, error: error.message, exit_code: error.exit_code })
+            );
+        case 'stop':
+            // Only stop the named app without exiting when a single app of a supervisor is stopped
+            if (target !== manager) return target.destroy().then(() => reply({ ok: true }));
+
+            // Reply before exiting so the client knows the application has stopped
+            return manager.destroy().then(() => {
+                reply({ ok: true });
+                socket.end(() => process.exit(0));
+            });
+        case 'logs': {
+            // Stream the events of the manager to the client until it disconnects
+            // The events forwarded by a supervisor carry the name of their app as the last argument
+            const listeners = LOG_EVENTS.map((event) => {
+                const listener = (...args) => {
+                    const app = target === manager && supervised ? args.pop() : undefined;
+                    const log = format_event(event, args);
+                    reply({ ok: true, log: app === undefined || event === 'log' ? log : `${log} app=${app}` });
+                };
+                target.on(event, listener);
+                return [event, listener];
+            });
+            socket.once('close', () =>
+                listeners.forEach(([event, listener]) => target.removeListener(event, listener))
+            );
+            return;
+        }
+        default:
+            return reply({ ok: false, error: `RollStarts: Unknown control command "${request.command}".` });
+    }
+}
+
+/**
+ * Opens the control endpoint of a manager which accepts newline delimited JSON commands.
+ * A stale Unix socket left behind by a previous master which is no longer running is replaced.
+ * The Unix socket is only accessible by the user of the master process as any client may restart or stop the application.
+ * @param {import('./manager.js').RollStartsManager} manager
+ * @param {string} endpoint The path of the Unix socket or named pipe.
+ * @returns {net.Server}
+ */
+function open_control(manager, endpoint) {
+    const server = net.createServer((socket) => {
+        let buffer = '';
+        const reply = (response) => {
+            if (!socket.destroyed) socket.write(JSON.stringify(response) + '\n');
+        };
+
+        // Parse each line as a separate command
+        socket.setEncoding('utf8');
+        socket.on('error', () => {});
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+            let index;
+            while ((index = buffer.indexOf('\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 1);
+                if (!line.trim()) continue;
+
+                let request;
+                try {
+                    request = JSON.parse(line);
+                } catch (error) {
+                    reply({ ok: false, error: 'RollStarts: Unable to parse the control command as JSON.' });
+                    continue;
+                }
+                handle_command(manager, request, reply, socket);
+            }
+        });
+    });
+
+    // Replace a stale socket file if no master is listening on it anymore
+    server.on('error', (error) => {
+        if (error.code !== 'EADDRINUSE' || os.platform() === 'win32') return manager.emit('error', error);
+        const probe = net.connect(endpoint);
+        probe.once('connect', () => {
+            probe.destroy();
+            manager.emit(
+                'error',
+                new Error(
+                    `RollStarts: Another master process is already listening on the control endpoint "${endpoint}".`
+                )
+            );
+        });
+        probe.once('error', () => {
+            // Never remove a file at the endpoint which is not a socket
+            try {
+                if (!fs.lstatSync(endpoint).isSocket())
+                    return manager.emit(
+                        'error',
+                        new Error(`RollStarts: The control endpoint "${endpoint}" already exists and is not a socket.`)
+                    );
+                fs.unlinkSync(endpoint);
+            } catch (error) {}
+            listen_private(server, endpoint);
+        });
+    });
+
+    // Restrict the Unix socket to its owner from the moment it is created
+    listen_private(server, endpoint);
+    return server;
+}
+
+/**
+ * Listens on a Unix socket which is only accessible by its owner from the moment it is created.
+ * Note! The socket is bound synchronously so the restrictive umask only applies while it is created.
+ * @param {net.Server} server
+ * @param {string} endpoint The path of the Unix socket or named pipe.
+ */
+function listen_private(server, endpoint) {
+    if (os.platform() === 'win32') return server.listen(endpoint);
+    const umask = process.umask(0o177);
+    try {
+        server.listen(endpoint);
+    } finally {
+        process.umask(umask);
+    }
+}
+
+/**
+ * Sends a command to the control endpoint of a running master process.
+ * Each response received is passed to the handler until it returns `true` or the connection is closed.
+ * @param {string} endpoint The path of the Unix socket or named pipe.
+ * @param {Object} request The command to send.
+ * @param {function(Object):boolean} handler
+ * @returns {Promise<void>}
+ */
+function send_control(endpoint, request, handler) {
+    return new Promise((resolve, reject) => {
+        let buffer = '';
+        const socket = net.connect(endpoint);
+        socket.setEncoding('utf8');
+        socket.once('connect', () => socket.write(JSON.stringify(request) + '\n'));
+        socket.once('error', (cause) =>
+            reject(
+                new Error(
+                    `RollStarts: Unable to connect to the control endpoint "${endpoint}". Please ensure the master process is running with the control option.`,
+                    { cause }
+                )
+            )
+        );
+        socket.once('close', () => resolve());
+        socket.on('data', (chunk) => {
+            buffer += chunk;
+            let index;
+            while ((index = buffer.indexOf('\n')) !== -1) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 1);
+                if (!line.trim()) continue;
+
+                let response;
+                try {
+                    response = JSON.parse(line);
+                } catch (cause) {
+                    socket.destroy();
+                    return reject(
+                        new Error(`RollStarts: Unable to parse the response of the control endpoint "${endpoint}".`, {
+                            cause,
+                        })
+                    );
+                }
+                if (handler(response)) return socket.end();
+            }
+        });
+    });
+}
+
+module.exports = {
+    default_control_path,
+    open_control,
+    send_control,
+};
@@ -0,0 +1,87 @@
+const child_process = require('child_process');
+
+// The amount of output which is kept from each shell command as only the end of a failing build is usually relevant
+const MAX_OUTPUT_LENGTH = 64 * 1024;
+
+/**
+ * @typedef {string|function(RollStartsHookContext):any} RollStartsHook
+ * A shell command which fails with a non-zero exit code or an async function which fails by throwing.
+ */
+
+/**
+ * @typedef {Object} RollStartsHookContext
+ * @property {'before_restart'|'after_active'} phase The phase in which the hook is run.
+ * @property {number} generation The generation which is about to be spawned or has become active.
+ */
+
+/**
+ * Runs a shell command and resolves with its combined stdout and stderr.
+ * The promise is rejected with an error carrying the `output` and `exit_code` if the command fails.
+ * @param {string} command
+ * @param {child_process.SpawnOptions} options
+ * @returns {Promise<string>}
+ */
+function run_command(command, options) {
+    return new Promise((resolve, reject) => {
+        let output = '';
+        const append = (chunk) => (output = (output + chunk).slice(-MAX_OUTPUT_LENGTH));
+
+        // Run the command within a shell so it may use pipes, operators and npm scripts
+        const child = child_process.spawn(command, {
+            cwd: options.cwd,
+            env: options.env,
+            shell: true,
+            stdio: ['ignore', 'pipe', 'pipe'],
+            windowsHide: true,
+        });
+        child.stdout.setEncoding('utf8').on('data', append);
+        child.stderr.setEncoding('utf8').on('data', append);
+
+        // Settle once the command has exited and its output has been fully read
+        child.once('error', (cause) => {
+            const error = new Error(`RollStarts: Unable to run the hook "${command}".`, { cause });
+            error.output = output;
+            reject(error);
+        });
+        child.once('close', (code, signal) => {
+            if (code === 0) return resolve(output);
+            const error = new Error(`RollStarts: The hook "${command}" exited with code ${code ?? signal}.`);
+            error.output = output;
+            error.exit_code = code;
+            reject(error);
+        });
+    });
+}
+
+/**
+ * Runs the hooks of a phase one after another and stops at the first hook which fails.
+ * The rejected error carries the failing `hook`, its `phase`, its `output` and the `exit_code` of a shell command.
+ * @param {RollStartsHook|RollStartsHook[]} hooks
+ * @param {RollStartsHookContext} context
+ * @param {child_process.SpawnOptions} [options] The spawn options of the application which provide the working directory and environment.
+ * @returns {Promise<void>}
+ */
+async function run_hooks(hooks, context, options = {}) {
+    for (const hook of Array.isArray(hooks) ? hooks : [hooks]) {
+        try {
+            if (typeof hook === 'string') await run_command(hook, options);
+            else await hook(context);
+        } catch (cause) {
+            // Wrap the error of a function so every failure has the same shape
+            const error =
+                typeof hook === 'string'
+                    ? cause
+                    : new Error(`RollStarts: The ${context.phase} hook "${hook.name || 'anonymous'}" failed.`, {
+                          cause,
+                      });
+            error.hook = hook;
+            error.phase = context.phase;
+            if (error.output === undefined) error.output = cause instanceof Error ? cause.stack : String(cause);
+            throw error;
+        }
+    }
+}
+
+module.exports = {
+    run_hooks,
+};
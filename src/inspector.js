@@ -0,0 +1,146 @@
+const fs = require('fs');
+const os = require('os');
+const http = require('http');
+const child_process = require('child_process');
+
+// The default port of the Node.js inspector which is the first port handed out to the child processes
+const INSPECT_DEFAULT_PORT = 9229;
+
+// The interval at which the inspector of a new process is polled until it is listening
+const INSPECT_POLL_INTERVAL_MS = 100;
+
+/**
+ * @typedef {Object} RollStartsInspectOptions
+ * @property {string} [host='127.0.0.1'] The host which the inspector of each child process listens on.
+ * @property {number} [port=9229] The first port of the default ports which hold two ports per worker so each process alternates with the process it replaces.
+ * @property {number[]} [ports] The ports which are handed out to the child processes instead of the default ports.
+ * @property {boolean} [break=false] Whether to pause the processes spawned by restarts and recoveries on their first line with `--inspect-brk` until a debugger attaches. Note! The startup timeout still applies while a process is paused.
+ */
+
+/**
+ * Normalizes the inspect option into the host, the ports which are handed out and whether to pause on the first line.
+ * Returns `null` if the inspector is disabled.
+ * @param {boolean|number|RollStartsInspectOptions} inspect
+ * @param {number} instances The number of workers which each need two ports by default.
+ * @returns {{host: string, ports: number[], break: boolean}|null}
+ */
+function resolve_inspect(inspect, instances) {
+    if (!inspect) return null;
+    if (inspect === true) inspect = {};
+    else if (typeof inspect === 'number') inspect = { port: inspect };
+
+    const { host = '127.0.0.1', port = INSPECT_DEFAULT_PORT, ports, break: pause = false } = inspect;
+    const resolved = ports || Array.from({ length: instances * 2 }, (_, index) => port + index);
+    if (!Array.isArray(resolved) || !resolved.length || !resolved.every((value) => value > 0 && value < 65536))
+        throw new Error('RollStarts: The inspect ports must be a list of at least one port between 1 and 65535.');
+
+    return { host, ports: resolved, break: pause };
+}
+
+/**
+ * Resolves with whether a process holds the listening TCP socket of a port.
+ * On Linux the socket is looked up in `/proc` while `netstat` is used on Windows and `lsof` elsewhere.
+ * @param {number} pid
+ * @param {number} port
+ * @returns {Promise<boolean>}
+ */
+async function listens_on(pid, port) {
+    // Run a command and resolve with its output which is empty if the command failed
+    const run = (command, args) =>
+        new Promise((resolve) => child_process.execFile(command, args, (error, stdout) => resolve(stdout || '')));
+
+    if (os.platform() === 'win32') {
+        const output = await run('netstat', ['-ano', '-p', 'TCP']);
+        return output.split(/\r?\n/).some((line) => {
+            const [, local, , state, owner] = line.trim().split(/\s+/);
+            return state === 'LISTENING' && local.endsWith(`:${port}`) && owner === pid.toString();
+        });
+    }
+
+    if (os.platform() !== 'linux')
+        return (
+            (await run('lsof', ['-nP', '-a', '-p', pid.toString(), `-iTCP:${port}`, '-sTCP:LISTEN', '-t'])).trim() !==
+            ''
+        );
+
+    // The inodes of the sockets which listen on the port are matched against the file descriptors of the process
+    const inodes = new Set();
+    for (const table of ['/proc/net/tcp', '/proc/net/tcp6']) {
+        let lines = [];
+        try {
+            lines = (await fs.promises.readFile(table, 'utf8')).split('\n').slice(1);
+        } catch (error) {}
+        for (const line of lines) {
+            const [, local, , state, , , , , , inode] = line.trim().split(/\s+/);
+            if (state === '0A' && local && parseInt(local.split(':')[1], 16) === port) inodes.add(`socket:[${inode}]`);
+        }
+    }
+    if (!inodes.size) return false;
+
+    try {
+        const directory = `/proc/${pid}/fd`;
+        for (const fd of await fs.promises.readdir(directory)) {
+            try {
+                if (inodes.has(await fs.promises.readlink(`${directory}/${fd}`))) return true;
+            } catch (error) {}
+        }
+    } catch (error) {}
+    return false;
+}
+
+/**
+ * Resolves with the `ws://` URL of the inspector of a child process once it is listening.
+ * The URL is read from the `/json/list` endpoint of the inspector as it contains an id which is only known to the child process.
+ * The target is only accepted once the child process holds the port as another process, such as the master process itself, may listen on it.
+ * Note! A process started in turn by a custom command is not announced as its PID differs from the spawned process.
+ * @param {string} host
+ * @param {number} port
+ * @param {import('child_process').ChildProcess} child
+ * @returns {Promise<string>} Rejects if the child process exits before its inspector is listening.
+ */
+function inspector_url(host, port, child) {
+    return new Promise((resolve, reject) => {
+        let timeout = null;
+        const on_exit = () => {
+            clearTimeout(timeout);
+            reject(
+                new Error(
+                    `RollStarts: The process ${child.pid} exited before its inspector on port ${port} was listening.`
+                )
+            );
+        };
+        child.once('exit', on_exit);
+
+        // Poll the inspector until it lists the debugging target of the child process
+        const retry = () => {
+            if (child.exitCode === null && child.signalCode === null)
+                timeout = setTimeout(attempt, INSPECT_POLL_INTERVAL_MS);
+        };
+        const attempt = () => {
+            const request = http.get({ host, port, path: '/json/list', timeout: 1000 }, (response) => {
+                let body = '';
+                response.setEncoding('utf8');
+                response.on('data', (chunk) => (body += chunk));
+                response.on('end', async () => {
+                    let target;
+                    try {
+                        [target] = JSON.parse(body);
+                    } catch (error) {}
+                    if (!target || !target.webSocketDebuggerUrl || !(await listens_on(child.pid, port))) return retry();
+
+                    child.removeListener('exit', on_exit);
+                    resolve(target.webSocketDebuggerUrl);
+                });
+            });
+            request.once('timeout', () => request.destroy());
+            request.once('error', retry);
+        };
+        attempt();
+    });
+}
+
+module.exports = {
+    resolve_inspect,
+    listens_on,
+    inspector_url,
+};
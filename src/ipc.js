@@ -0,0 +1,49 @@
+// The version of the IPC protocol which is included within every message
+// This must be incremented whenever the shape of an existing message changes
+const PROTOCOL_VERSION = 1;
+
+// The key which namespaces rollstarts messages from any other messages sent over the IPC channel
+const NAMESPACE = 'rollstarts';
+
+/**
+ * @typedef {Object} RollStartsEnvelope
+ * @property {number} rollstarts The version of the IPC protocol used by the sender.
+ * @property {string} type The type of the message which is one of the `RS_CONSTANTS` message constants.
+ * @property {any} [data] The data of the message (if any).
+ */
+
+/**
+ * Wraps a message in a rollstarts envelope which can be sent over the IPC channel.
+ * @param {string} type
+ * @param {any} [data]
+ * @returns {RollStartsEnvelope}
+ */
+function encode(type, data) {
+    const envelope = { [NAMESPACE]: PROTOCOL_VERSION, type };
+    if (data !== undefined) envelope.data = data;
+    return envelope;
+}
+
+/**
+ * Unwraps a message received over the IPC channel.
+ * Returns `null` if the message is not a rollstarts envelope, such as a message sent by the application itself.
+ * An envelope of another version of the IPC protocol is also rejected with `null` as its shape may differ.
+ * @param {any} message
+ * @param {function(number):void} [on_mismatch] Called with the version of an envelope which is rejected as its protocol version differs.
+ * @returns {RollStartsEnvelope|null}
+ */
+function decode(message, on_mismatch) {
+    if (!message || typeof message !== 'object') return null;
+    if (typeof message[NAMESPACE] !== 'number' || typeof message.type !== 'string') return null;
+    if (message[NAMESPACE] !== PROTOCOL_VERSION) {
+        if (on_mismatch) on_mismatch(message[NAMESPACE]);
+        return null;
+    }
+    return message;
+}
+
+module.exports = {
+    PROTOCOL_VERSION,
+    encode,
+    decode,
+};
@@ -0,0 +1,225 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @typedef {Object} RollStartsLogsOptions
+ * @property {boolean} [console=true] Whether to write the captured lines to the stdout and stderr of the master process.
+ * @property {string} [file] The path of the file to append the captured lines to. Failures to write it are emitted as `error` events.
+ * @property {'text'|'json'} [format='text'] The format of the lines, `json` writes one JSON object per line.
+ * @property {number} [max_size_bytes] The size in bytes after which the file is rotated.
+ * @property {number} [rotate_interval_ms] The time in milliseconds after which the file is rotated.
+ * @property {number} [max_files=5] The number of rotated files to keep in addition to the current file.
+ */
+
+/**
+ * @typedef {Object} RollStartsLogRecord
+ * @property {string} time The ISO timestamp of when the line was captured.
+ * @property {number} pid The PID of the child process which wrote the line.
+ * @property {number} generation The generation of the child process.
+ * @property {number} worker The worker id of the child process.
+ * @property {string} [app] The name of the app of the child process when it is run by a supervisor.
+ * @property {'stdout'|'stderr'} stream The stream which the line was written to.
+ * @property {string} message The line without the trailing newline.
+ * @property {string} line The formatted line including the prefix.
+ */
+
+// Appends lines to a file which is rotated by size or time
+// The lines are written through a stream so a slow or full disk neither blocks nor crashes the master process
+class RotatingFile {
+    #file; // The path of the current file
+    #stream = null; // The write stream of the current file (if open)
+    #size = 0; // The size in bytes of the current file
+    #opened_at = 0; // The time the current file was opened
+    #closed = false; // Whether this file has been closed
+    #options; // The logs options
+    #on_error; // The function which reports the errors of writing the file
+
+    /**
+     * @param {string} file
+     * @param {RollStartsLogsOptions} options
+     * @param {function(Error):void} on_error
+     */
+    constructor(file, options, on_error) {
+        this.#file = path.resolve(file);
+        this.#options = options;
+        this.#on_error = on_error;
+        fs.mkdirSync(path.dirname(this.#file), { recursive: true });
+    }
+
+    /**
+     * Opens the current file for appending if it is not open yet.
+     * The file is opened right away so the lines pending in a rotated stream never land in the file which replaces it.
+     * @returns {boolean} Whether the file is open.
+     */
+    #open() {
+        if (this.#stream) return true;
+        let fd;
+        try {
+            fd = fs.openSync(this.#file, 'a');
+            this.#size = fs.fstatSync(fd).size;
+        } catch (error) {
+            if (fd !== undefined) fs.closeSync(fd);
+            this.#on_error(error);
+            return false;
+        }
+        this.#opened_at = Date.now();
+
+        // Report a failing stream and drop it so the file is opened again for the next line
+        const stream = fs.createWriteStream(null, { fd });
+        stream.once('error', (error) => {
+            if (this.#stream === stream) this.#stream = null;
+            this.#on_error(error);
+        });
+        this.#stream = stream;
+        return true;
+    }
+
+    /**
+     * Ends the current stream once its pending lines have been written.
+     * Note! The pending lines still reach the file after it is renamed as the stream keeps its file descriptor.
+     */
+    #end() {
+        if (!this.#stream) return;
+        this.#stream.end();
+        this.#stream = null;
+    }
+
+    /**
+     * Rotates the current file to `<file>.1` while shifting the older files and removing the oldest.
+     */
+    #rotate() {
+        const { max_files = 5 } = this.#options;
+        this.#end();
+
+        // Shift each of the rotated files up by one, the oldest file is overwritten
+        for (let index = max_files - 1; index >= 1; index--) {
+            try {
+                fs.renameSync(`${this.#file}.${index}`, `${this.#file}.${index + 1}`);
+            } catch (error) {}
+        }
+
+        // Rotate the current file or remove it if no rotated files are kept
+        try {
+            if (max_files > 0) fs.renameSync(this.#file, `${this.#file}.1`);
+            else fs.unlinkSync(this.#file);
+        } catch (error) {}
+    }
+
+    /**
+     * Appends a line to the file and rotates it beforehand if it has grown too large or old.
+     * Note! Lines written after the file has been closed are discarded.
+     * @param {string} line
+     */
+    write(line) {
+        if (this.#closed) return;
+        const { max_size_bytes, rotate_interval_ms } = this.#options;
+        const data = line + '\n';
+        const length = Buffer.byteLength(data);
+        if (!this.#open()) return;
+
+        // Rotate the file if this line would exceed the size limit or the file is older than the interval
+        const too_large = max_size_bytes > 0 && this.#size > 0 && this.#size + length > max_size_bytes;
+        const too_old = rotate_interval_ms > 0 && Date.now() - this.#opened_at >= rotate_interval_ms;
+        if (too_large || too_old) {
+            this.#rotate();
+            if (!this.#open()) return;
+        }
+
+        this.#stream.write(data);
+        this.#size += length;
+    }
+
+    /**
+     * Closes the current file once its pending lines have been written.
+     */
+    close() {
+        this.#closed = true;
+        this.#end();
+    }
+}
+
+// Captures the stdout and stderr of child processes and writes each line with a prefix
+class RollStartsLogger {
+    #options; // The logs options
+    #file = null; // The rotating file (if any)
+    #emit; // The function which emits each record
+
+    /**
+     * @param {RollStartsLogsOptions} options
+     * @param {function(RollStartsLogRecord):void} emit
+     * @param {function(Error):void} on_error The function which reports the errors of writing the log file.
+     */
+    constructor(options, emit, on_error) {
+        this.#options = options;
+        this.#emit = emit;
+        if (options.file) this.#file = new RotatingFile(options.file, options, on_error);
+    }
+
+    /**
+     * Captures the piped stdout and stderr of a child process.
+     * @param {import('child_process').ChildProcess} child
+     * @param {number} generation
+     * @param {number} worker
+     * @param {string} [app] The name of the app when the logger is shared by the apps of a supervisor.
+     */
+    attach(child, generation, worker, app) {
+        for (const stream of ['stdout', 'stderr']) {
+            if (!child[stream]) continue;
+
+            // Split the output into lines while keeping any partial line until the rest of it arrives
+            let buffer = '';
+            child[stream].setEncoding('utf8');
+            child[stream].on('data', (chunk) => {
+                buffer += chunk;
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+                for (const message of lines) this.#write(child.pid, generation, worker, app, stream, message);
+            });
+
+            // Write the last partial line once the stream ends
+            child[stream].on('end', () => {
+                if (buffer) this.#write(child.pid, generation, worker, app, stream, buffer);
+                buffer = '';
+            });
+        }
+    }
+
+    /**
+     * Formats and writes a single captured line.
+     * @param {number} pid
+     * @param {number} generation
+     * @param {number} worker
+     * @param {string|undefined} app
+     * @param {'stdout'|'stderr'} stream
+     * @param {string} message
+     */
+    #write(pid, generation, worker, app, stream, message) {
+        const { format = 'text', console: to_console = true } = this.#options;
+
+        // Strip the carriage return of Windows line endings
+        if (message.endsWith('\r')) message = message.slice(0, -1);
+
+        // Build the record and format it into a line which is prefixed with the app name when there is one
+        const record = { time: new Date().toISOString(), pid, generation, worker, app, stream, message };
+        record.line =
+            format === 'json'
+                ? JSON.stringify({ time: record.time, app, pid, generation, worker, stream, message })
+                : `${record.time}${app !== undefined ? ` [${app}]` : ''} [pid ${pid}] [gen ${generation}] ${message}`;
+
+        // Write the line to the outputs
+        if (to_console) (stream === 'stderr' ? process.stderr : process.stdout).write(record.line + '\n');
+        if (this.#file) this.#file.write(record.line);
+        this.#emit(record);
+    }
+
+    /**
+     * Closes the log file (if any).
+     */
+    close() {
+        if (this.#file) this.#file.close();
+    }
+}
+
+module.exports = {
+    RollStartsLogger,
+};
@@ -1,48 +1,393 @@
+const os = require('os');
 const fs = require('fs');
+const path = require('path');
 const EventEmitter = require('events');
 const child_process = require('child_process');
-const { RS_CONSTANTS, IPC_DEFAULT_TIMEOUT_MS } = require('./constants.js');
+const {
+    RS_CONSTANTS,
+    IPC_DEFAULT_TIMEOUT_MS,
+    DRAIN_DEFAULT_TIMEOUT_MS,
+    KILL_DEFAULT_TIMEOUT_MS,
+    HEARTBEAT_DEFAULT_INTERVAL_MS,
+    HEARTBEAT_DEFAULT_TIMEOUT_MS,
+    HANDOFF_DEFAULT_TIMEOUT_MS,
+    HANDOFF_DEFAULT_MAX_BYTES,
+    STARTUP_DEFAULT_TIMEOUT_MS,
+    RESTART_DEFAULT_DELAY_MS,
+} = require('./constants.js');
+const { open_servers, close_servers } = require('./servers.js');
+const { RollStartsWatcher } = require('./watcher.js');
+const { PROTOCOL_VERSION, encode, decode } = require('./ipc.js');
+const { default_control_path, open_control } = require('./control.js');
+const { RollStartsLogger } = require('./logs.js');
+const { run_hooks } = require('./hooks.js');
+const { RollStartsMetrics, RollStartsSampler, open_metrics } = require('./metrics.js');
+const { parse_cron } = require('./schedule.js');
+const { validate_check, probe, wait_for_ready } = require('./readiness.js');
+const { validate_signals, install_signals } = require('./signals.js');
+const { load_config, load_env_files } = require('./config.js');
+const { resolve_release, watch_release_link } = require('./releases.js');
+const { default_pid_path, write_pid_file, remove_pid_file } = require('./pidfile.js');
+const { RollStartsThread } = require('./thread.js');
+const { resolve_inspect, inspector_url } = require('./inspector.js');
+
+// The longest delay supported by setTimeout, longer delays are waited for in multiple steps
+const MAX_TIMEOUT_MS = 2 ** 31 - 1;
+
+// The options which are bound to resources opened by the constructor and therefore cannot be reloaded
+const STATIC_OPTIONS = ['listen', 'instances', 'control', 'metrics', 'logs', 'signals', 'config'];
+
+// The actions which an exit policy may take once a process exits while it is in use
+const EXIT_ACTIONS = ['recover', 'exit-master', 'ignore', 'restart-after-delay'];
+
+/**
+ * Ensures the options which are checked on start and on reload are valid before any of them are applied.
+ * @param {Partial<RollStartsOptions>} options
+ */
+function validate_options(options) {
+    const { instances, batch_size } = options;
+    if (instances !== undefined && instances !== 'max' && !(Number.isInteger(instances) && instances >= 1))
+        throw new Error(`RollStarts: The instances option must be a whole number of at least 1 or "max".`);
+    if (batch_size !== undefined && !(Number.isInteger(batch_size) && batch_size >= 1))
+        throw new Error(`RollStarts: The batch_size option must be a whole number of at least 1.`);
+    if (options.readiness && options.readiness !== 'ipc') validate_check(options.readiness, 'readiness');
+    if (options.liveness) validate_check(options.liveness, 'liveness');
+    if (options.on_exit) validate_on_exit(options.on_exit);
+    if (options.inspect) resolve_inspect(options.inspect, 1);
+    if (options.signals) validate_signals(options.signals);
+    if (options.restart_schedule) parse_cron(options.restart_schedule);
+    if (options.mode !== undefined && options.mode !== 'process' && options.mode !== 'worker')
+        throw new Error(`RollStarts: The mode "${options.mode}" is unknown. Please use either "process" or "worker".`);
+    if (options.mode === 'worker' && options.inspect)
+        throw new Error(
+            'RollStarts: The inspect option is not supported in worker mode as worker threads share the inspector of the master process.'
+        );
+    if (options.mode === 'worker' && options.listen && options.listen.length)
+        throw new Error(
+            'RollStarts: The listen option is not supported in worker mode as server handles cannot be passed to worker threads.'
+        );
+}
+
+/**
+ * @typedef {'recover'|'exit-master'|'ignore'|'restart-after-delay'|{action: 'restart-after-delay', delay_ms?: number}} RollStartsExitPolicy
+ * The action taken once a process exits while it is in use, the delay of a `restart-after-delay` action defaults to 5000 milliseconds.
+ */
+
+/**
+ * Ensures the exit policies are keyed by exit codes or signal names and take known actions.
+ * @param {Object<string, RollStartsExitPolicy>} on_exit
+ */
+function validate_on_exit(on_exit) {
+    for (const key in on_exit) {
+        if (!/^(\d+|SIG[A-Z0-9]+)$/.test(key))
+            throw new Error(
+                `RollStarts: The on_exit key "${key}" is neither an exit code nor a signal name such as "SIGKILL".`
+            );
+
+        const policy = on_exit[key];
+        const action = policy && typeof policy === 'object' ? policy.action : policy;
+        if (!EXIT_ACTIONS.includes(action))
+            throw new Error(
+                `RollStarts: The on_exit action "${action}" for "${key}" is unknown. Please use one of ${EXIT_ACTIONS.map(
+                    (name) => `"${name}"`
+                ).join(', ')}.`
+            );
+    }
+}
 
 /**
  * @typedef {Object} RollStartsOptions
- * @property {string} path The path to the root Javascript file for your application.
- * @property {boolean} [watch=true] Whether or not to watch the root Javascript file for changes to automatically restart the application.
+ * @property {string} [path] The path to the root Javascript file for your application. May be omitted when it is provided by the configuration file.
+ * @property {boolean|string|string[]|import('./watcher.js').RollStartsWatchOptions} [watch=true] Whether or not to watch the root Javascript file for changes to automatically restart the application. Files, directories and glob patterns to watch may also be provided.
  * @property {boolean} [recover=true] Whether to automatically recover from a crash within the root Javascript file application.
  * @property {number} [recover_attempts=100] The number of times to attempt recovery from a crashes. Note! This count only applies to a crash loop and will reset if the application remains started for a period of time.
  * @property {number} [recover_ttl_ms=1000] The interval in milliseconds before the recovery attempts count resets.
+ * @property {number} [recover_backoff_ms=100] The delay in milliseconds before the first recovery of a crash loop. Each following recovery waits exponentially longer.
+ * @property {number} [recover_backoff_max_ms=30000] The maximum delay in milliseconds between recoveries.
+ * @property {number} [recover_backoff_factor=2] The factor by which the delay grows with each recovery of a crash loop.
+ * @property {number} [recover_backoff_jitter=0.2] The fraction of the delay which is randomly added or removed to prevent workers from recovering in lockstep.
+ * @property {Object<string, RollStartsExitPolicy>} [on_exit] The actions taken by exit code or signal name once a process exits while it is in use, such as `{0: 'exit-master', 78: 'ignore'}`. A `recover` action recovers with a backoff, `restart-after-delay` restarts after a fixed delay without consuming recovery attempts, `exit-master` stops every process and exits the master process with the exit code and `ignore` leaves the worker without a process. Exits without a policy are recovered if `recover` is enabled.
  * @property {number} [ipc_timeout_ms=5000] The timeout in milliseconds for IPC messages. This is required to prevent hanging processes.
+ * @property {number} [startup_timeout_ms=60000] The time in milliseconds a new process is given to become ready before it is killed and the restart fails with an error whose `timed_out` property is set. Use `0` to wait indefinitely.
+ * @property {number} [drain_timeout_ms=10000] The time in milliseconds an old process is given to drain after being asked to stop serving before it is sent a SIGTERM.
+ * @property {number} [kill_timeout_ms=5000] The time in milliseconds a process is given to exit after being sent a SIGTERM before it is sent a SIGKILL.
+ * @property {number} [canary_ms=0] The time in milliseconds a new process is watched after becoming active while the old process is suspended rather than stopped. If the new process exits or fails the canary check within this window, the old process is brought back as the active process.
+ * @property {function(child_process.ChildProcess, number):boolean|Promise<boolean>} [canary_check] The health check which is periodically called with the new process and its worker id during the canary window. Returning `false` or throwing rolls back to the old process.
+ * @property {number} [canary_check_interval_ms=1000] The interval in milliseconds between the canary checks.
+ * @property {import('./hooks.js').RollStartsHook|import('./hooks.js').RollStartsHook[]} [before_restart] The shell commands or async functions which run in the master process before each generation is spawned, such as `npm run build` or `node --check app.js`. A failing hook aborts the restart and keeps the current processes serving. Shell commands inherit the environment of the master process along with the `env` option and the variables of the environment files which were last read.
+ * @property {import('./hooks.js').RollStartsHook|import('./hooks.js').RollStartsHook[]} [after_active] The shell commands or async functions which run in the master process once each generation is active.
+ * @property {'ipc'|import('./readiness.js').RollStartsCheck} [readiness='ipc'] How the master process determines that a new process is ready. By default the child calls `ready()` over IPC, a check may be provided for children which cannot, such as those written in other languages. A child which still calls `ready()` becomes ready on whichever comes first.
+ * @property {import('./readiness.js').RollStartsCheck} [liveness] A `port`, `http` or `file` check which is periodically evaluated against each active process. A process which fails it `failure_threshold` times in a row is stopped and recovered.
+ * @property {number} [heartbeat_interval_ms=1000] The interval in milliseconds at which the master and child processes send each other heartbeats over the IPC channel. Use `0` to disable the heartbeats.
+ * @property {number} [heartbeat_timeout_ms=10000] The time in milliseconds without a heartbeat after which a child process which listens for the messages of the master process, such as with `onShutdown()`, considers itself orphaned and exits after draining for `drain_timeout_ms`, and after which the master process emits an 'unresponsive' event for a child process.
+ * @property {boolean|string} [pid_file=false] Whether to write the PIDs of the master process and its child processes to a PID file so a new master process can stop the child processes left behind by a previous one, which are reported with the `stale` event. A path may also be provided, by default `.rollstarts.pid` within the working directory is used or `.rollstarts.<name>.pid` for an app of a supervisor.
+ * @property {number} [handoff_timeout_ms=5000] The time in milliseconds an old process is given to serialize its state for its replacement before the replacement starts without it.
+ * @property {number} [handoff_max_bytes=1048576] The maximum size in bytes of the serialized state of an old process. Larger states are dropped.
+ * @property {number|'max'} [instances=1] The number of worker processes to run the application with. Use `'max'` to run one worker per CPU core.
+ * @property {number} [batch_size=1] The number of workers which are replaced at the same time during a rolling restart.
+ * @property {number} [max_unavailable=0] The number of workers within a batch which may be stopped before their replacement is ready. Note! Any value above 0 trades zero-downtime for a lower peak resource usage.
+ * @property {import('./servers.js').RollStartsListenOptions[]} [listen] The servers which the master process opens once and hands to each generation of child processes.
+ * @property {boolean|string} [control=false] Whether to open a local control endpoint for the `rollstarts` CLI. A path to a Unix socket or named pipe may also be provided, by default `.rollstarts.sock` within the working directory is used.
+ * @property {boolean|Object<string, 'restart'|'shutdown'|null>} [signals=false] Whether to install signal handlers on the master process. By default SIGHUP and SIGUSR2 trigger a rolling restart while SIGTERM and SIGINT gracefully shut down the application. A mapping of signals to actions may also be provided.
+ * @property {boolean|import('./logs.js').RollStartsLogsOptions} [logs=false] Whether to capture the stdout and stderr of each child process and write each line prefixed with its timestamp, PID and generation.
+ * @property {number} [max_memory_mb] The resident set size in megabytes above which a child process triggers a rolling restart.
+ * @property {number} [max_cpu_percent] The CPU usage in percent which a child process must stay at or above for `max_cpu_duration_ms` to trigger a rolling restart.
+ * @property {number} [max_cpu_duration_ms=60000] The time in milliseconds the CPU usage must stay above `max_cpu_percent` before a rolling restart is triggered.
+ * @property {number} [resource_check_interval_ms=5000] The interval in milliseconds at which the memory and CPU usage of the child processes are sampled.
+ * @property {number} [restart_every_ms] The interval in milliseconds at which a rolling restart is triggered.
+ * @property {string} [restart_schedule] A five field cron expression in local time at which a rolling restart is triggered, such as `0 4 * * *` for every day at 4 AM.
+ * @property {number} [restart_jitter_ms=0] The maximum random delay in milliseconds added to each scheduled restart so multiple masters do not restart at the same time.
+ * @property {boolean|number|import('./metrics.js').RollStartsMetricsOptions} [metrics=false] Whether to open a local HTTP listener which serves the stats in the Prometheus text format on `/metrics` and as JSON on `/status`. A port or the listener options may also be provided.
+ * @property {boolean|string} [config] The path to a `rollstarts.config.js` or `rollstarts.config.json` file which provides the options, or `true` to look one up within the working directory. By default it is only looked up when no path is provided. Options passed in code take precedence over the file and changes to the file are reloaded by the watcher.
+ * @property {string|string[]} [env_file] The environment files which are read before each generation is spawned so rotated secrets reach the next generation without restarting the master process.
+ * @property {Object<string, string>} [env] The environment variables passed to each generation on top of the environment files.
+ * @property {string} [release_link] The path of a symlink such as `current` which points to the active release directory and contains the root Javascript file. Each release runs from the directory the link pointed to when it was deployed and re-pointing the link deploys the release it points to.
+ * @property {number} [release_history=5] The number of releases which are remembered so `rollback()` can return to a previous one.
+ * @property {'process'|'worker'} [mode='process'] Whether to run each generation as a child process or as a `worker_threads` Worker within the master process. Worker threads start faster but share the master process, so the `command`, `listen` and spawn `options` do not apply and `args` are appended to `process.argv` of the thread.
+ * @property {boolean|number|import('./inspector.js').RollStartsInspectOptions} [inspect=false] Whether to start each child process with its own inspector port so the process being replaced and its replacement never compete for the same port. A first port or the inspector options may also be provided, by default each worker alternates between two ports starting at 9229. A new process waits for a process which is being stopped to release its port when all of them are held. An 'inspector' event is emitted with the `ws://` URL of each process once it is active.
+ * @property {import('worker_threads').ResourceLimits} [resource_limits] The resource limits of each worker thread in `worker` mode. The `max_memory_mb` option defaults the `maxOldGenerationSizeMb` limit as the memory of a thread cannot be sampled.
  * @property {string} [command="node"] The command used to start the application.
  * @property {string[]} [args=[string]] The arguments passed to the command.
  * @property {child_process.SpawnOptions} [options] The options passed when constructing the child process.
  */
 
+/**
+ * @typedef {Object} RollStartsWorker
+ * @property {number} id The slot number of this worker which stays the same across rolling restarts.
+ * @property {child_process.ChildProcess|null} active The active process of this worker (if any).
+ * @property {child_process.ChildProcess|null} temporary The temporary process which will replace the active process of this worker (if any).
+ * @property {Promise<void>|null} promise The promise of the restart in flight for this worker (if any).
+ * @property {number} attempts The number of recoveries remaining for this worker before it is considered to be in a crash loop.
+ * @property {NodeJS.Timeout|null} recover_timeout The timeout of the recovery waiting for its backoff delay (if any).
+ * @property {RollStartsCanary|null} canary The canary window of the active process of this worker (if any).
+ * @property {RollStartsExit|null} exited The exit of the last process of this worker which exited (if any).
+ */
+
+/**
+ * @typedef {Object} RollStartsExit
+ * @property {number} pid The PID of the process.
+ * @property {number|null} exit_code The exit code of the process or `null` while it is running or if it was terminated by a signal.
+ * @property {string|null} signal The signal which terminated the process or `null` while it is running or if it exited by itself.
+ */
+
+/**
+ * @typedef {Object} RollStartsCanary
+ * @property {child_process.ChildProcess} child The new process which is being watched.
+ * @property {child_process.ChildProcess|null} standby The suspended old process which is brought back on a rollback (if it is still running).
+ * @property {NodeJS.Timeout} timeout The timeout which accepts the new process at the end of the window.
+ * @property {NodeJS.Timeout|null} interval The interval of the canary checks (if any).
+ * @property {function(Error=):void} settle Settles the restart of the worker with an optional error.
+ */
+
+/**
+ * @typedef {Object} RollStartsStatus
+ * @property {number} generation The generation which the child process was started for.
+ * @property {string} reason The reason the child process was started, which is the reason of its generation or `recover` for a recovery.
+ * The initial start is `start` and a restart requested by a child process with `restart()` is `child`.
+ * @property {number} restarts The number of rolling restarts which have been started.
+ * @property {RollStartsExit|null} previous The process which the child process replaces with a `null` exit code and signal while it is still running (if any).
+ * @property {boolean} in_flight Whether a rolling restart is currently in flight so a replacement may be starting.
+ */
+
+/**
+ * @typedef {Object} RollStartsManagerContext
+ * @property {string} [name] The name of the app which is passed to its child processes.
+ * @property {import('./logs.js').RollStartsLogger} [logger] The logger shared by all the apps of the supervisor.
+ * @property {function(string):Promise<void>} [restart_app] Restarts a sibling app by its name.
+ * @property {function(Promise<void>):void} [on_start] Receives the promise of the initial start of the application.
+ * @property {function():Promise<void>} [destroy] Stops all the apps of the supervisor before the master process exits.
+ */
+
+/**
+ * @typedef {Object} RollStartsRestartRequest
+ * @property {string} [reason='manual'] The reason for the restart which is counted within the stats and carried by the 'restart' event.
+ * @property {Object} [metadata] The details of the trigger which are carried by the 'restart' event.
+ */
+
+/**
+ * @typedef {Object} RollStartsSpawnConfig
+ * @property {string} command The command used to start the process.
+ * @property {string[]} args The arguments passed to the command.
+ * @property {string} path The path to the root Javascript file.
+ * @property {Object<string, string>} env The environment variables from the environment files and the `env` option.
+ */
+
 // Manages an active rollstarts process
 class RollStartsManager extends EventEmitter {
     #watcher; // The watcher instance (if any)
-    #options; // The options passed to the constructor
-    #active_process = null; // The active process (if any)
-    #temporary_process = null; // The temporary process which will replace the active process (if any)
-    #recover_attempts = 0; // The number of recurring recoveries remaining
+    #options; // The options passed to the constructor merged over the options of the configuration file (if any)
+    #config = null; // The configuration file and the options passed in code which take precedence over it (if any)
+    #env = {}; // The environment variables of the current generation from the environment files and the env option
+    #releases = []; // The releases which have been deployed with the current release last
+    #unwatch_release = null; // Stops watching the release link (if any)
+    #children = new Set(); // The child processes which have been spawned and have not exited yet
+    #inspector_ports = new Map(); // The inspector ports held by the child processes which have not exited yet
+    #terminations = new Map(); // The promises of the child processes which are being terminated
+    #cancels = new WeakMap(); // The functions which cancel the startup of the child processes which are not ready yet
+    #heartbeats = new WeakMap(); // The time of the last heartbeat received from each child process
+    #unresponsive = new WeakSet(); // The child processes which have been reported as unresponsive since their last heartbeat
+    #heartbeat_interval = null; // The interval at which heartbeats are sent to the child processes (if any)
+    #pid_file = null; // The path of the PID file (if any)
+    #workers = []; // The worker slots which each hold an active and temporary process
+    #recover_attempts = 0; // The number of recoveries each worker is allowed within a crash loop
+    #drainable = new WeakSet(); // The child processes which have registered to gracefully drain before they are stopped
+    #handoffs = new WeakSet(); // The child processes which have registered a serializer to hand off their state
+    #servers; // The server handles owned by the master process which are handed to each child process
+    #control = null; // The control endpoint server (if any)
+    #remove_signals = null; // Removes the signal handlers installed on the master process (if any)
+    #context; // The context provided by a supervisor which runs this application as one of its apps
+    #logger = null; // The logger which captures the output of each child process (if any)
+    #generation = 0; // The number of rolling restarts which have been started
+    #reason = null; // The reason of the current generation
+    #configs = new WeakMap(); // The spawn configurations of the child processes
+    #known_good = null; // The spawn configuration of the last process which passed its canary window (if any)
+    #pinned = null; // The known good spawn configuration used by recoveries after a rollback (if any)
+    #metrics = new RollStartsMetrics(); // The counters of this manager
+    #stats_sampler = new RollStartsSampler(); // The resource usage sampler of the stats
+    #limits_sampler = new RollStartsSampler(); // The resource usage sampler of the memory and CPU limits
+    #metrics_server = null; // The local HTTP listener which serves the stats (if any)
+    #spawned = new WeakMap(); // The generation, spawn time, start reason and previous process of the child processes
+    #cron = null; // The parsed restart schedule (if any)
+    #schedule_timeout = null; // The timeout of the next scheduled restart (if any)
+    #resource_interval = null; // The interval at which the resource usage is checked (if any)
+    #high_cpu = new WeakMap(); // The time since which each child process has been at or above the CPU limit
 
     /**
      * @param {RollStartsOptions} options
+     * @param {RollStartsManagerContext} [context] The context provided by a supervisor which runs this application as one of its apps.
      */
-    constructor(options) {
+    constructor(options, context = {}) {
         // Initialize the event emitter
         super();
 
-        // Store the options
+        // Store the options merged over the configuration file (if any) and the context
+        if (options.config) {
+            this.#config = { file: options.config, overrides: options };
+            options = { ...load_config(options.config), ...options };
+        }
         this.#options = options;
-        this.#recover_attempts = options.recover_attempts || 100;
+        this.#context = context;
+        this.#recover_attempts = options.recover_attempts ?? 100;
+
+        // Parse the restart schedule and validate the options before opening any resources so invalid options fail the start
+        if (options.restart_schedule) this.#cron = parse_cron(options.restart_schedule);
+        validate_options(options);
+
+        // Remember the initial release which is resolved through the release link so a rollback does not follow the link
+        // The initial release is also run from its resolved directory like every release deployed after it
+        let release_entry;
+        if (options.release_link) {
+            release_entry = path.relative(path.resolve(options.release_link), path.resolve(options.path));
+            if (release_entry.startsWith('..') || path.isAbsolute(release_entry))
+                throw new Error(
+                    `RollStarts: The path "${options.path}" must be within the release link "${options.release_link}".`
+                );
+        }
+        this.#releases.push({
+            ...(options.release_link
+                ? resolve_release(path.resolve(options.release_link), release_entry)
+                : { path: path.resolve(options.path), cwd: options.options && options.options.cwd }),
+            args: options.args,
+            command: options.command,
+            deployed_at: Date.now(),
+        });
+        if (options.release_link) this.#options = { ...options, ...this.#release_options(this.#releases[0]) };
+
+        // Open the servers which are handed to each generation of child processes
+        this.#servers = open_servers(options.listen);
+
+        // Write the PID file which lets a new master process clean up after this one if it does not exit cleanly
+        if (options.pid_file) {
+            this.#pid_file =
+                typeof options.pid_file === 'string'
+                    ? path.resolve(options.pid_file)
+                    : default_pid_path(process.cwd(), context.name);
+            write_pid_file(this.#pid_file, []);
+        }
+
+        // Open the control endpoint for the rollstarts CLI if enabled
+        if (options.control)
+            this.#control = open_control(
+                this,
+                typeof options.control === 'string' ? options.control : default_control_path()
+            );
+
+        // Open the local HTTP listener which serves the stats if enabled
+        if (options.metrics)
+            this.#metrics_server = open_metrics(
+                this,
+                typeof options.metrics === 'number'
+                    ? { port: options.metrics }
+                    : options.metrics === true
+                    ? {}
+                    : options.metrics
+            );
+
+        // Create the logger which captures the output of each child process if enabled
+        // The logger of a supervisor is shared by all of its apps and is closed by the supervisor
+        if (context.logger) this.#logger = context.logger;
+        else if (options.logs)
+            this.#logger = new RollStartsLogger(
+                options.logs === true ? {} : options.logs,
+                (record) => this.emit('log', record),
+                (error) => this.emit('error', error)
+            );
+
+        // Install the signal handlers on the master process if enabled
+        if (options.signals)
+            this.#remove_signals = install_signals(options.signals, {
+                restart: () => this.restart('signal').catch((error) => this.#report(error)),
+                destroy: () => this.destroy(),
+                destroying: () => this.#destroy_promise !== undefined,
+            });
+
+        // Create a worker slot for each of the instances
+        // The number of CPU cores may be reported as 0 within some containers so at least one worker is created
+        const cores = os.availableParallelism ? os.availableParallelism() : os.cpus().length;
+        const instances = options.instances === 'max' ? Math.max(1, cores) : options.instances || 1;
+        for (let id = 0; id < instances; id++)
+            this.#workers.push({
+                id,
+                active: null,
+                temporary: null,
+                promise: null,
+                attempts: this.#recover_attempts,
+                recover_timeout: null,
+                canary: null,
+                exited: null,
+            });
 
         // Trigger a restart to start the application
-        this.restart()
+        const started = this.restart('start');
+        if (context.on_start) context.on_start(started);
+        started
             .then(() => this.watch()) // Begin watching the root Javascript file for changes to automatically restart the application
-            .catch((error) => this.emit('error', error));
+            .catch((error) => {
+                // Keep watching after a failed start, such as a failed hook or a startup timeout, so fixing the application retries the start
+                this.#report(error);
+                if (!this.#destroy_promise) this.watch();
+            });
+
+        // Begin the scheduled restarts, the resource usage checks and the heartbeats if enabled
+        this.#schedule();
+        this.#monitor_resources();
+        const { heartbeat_interval_ms = HEARTBEAT_DEFAULT_INTERVAL_MS } = options;
+        if (heartbeat_interval_ms > 0)
+            this.#heartbeat_interval = setInterval(() => this.#heartbeat(), heartbeat_interval_ms);
+
+        // Deploy the release which the release link points to whenever it is re-pointed
+        if (options.release_link)
+            this.#unwatch_release = watch_release_link(
+                path.resolve(options.release_link),
+                release_entry,
+                (release) => this.deploy(release).catch((error) => this.#report(error)),
+                (error) => this.emit('error', error)
+            );
     }
 
     /**
-     * Begins watching the root Javascript file for changes to automatically restart the application.
+     * Begins watching the root Javascript file or the configured files, directories and glob patterns for changes to automatically restart the application.
+     * Note! Changes are debounced and a 'restart' event is emitted with the changed files before each restart.
      */
     async watch() {
         // If watching is disabled, then return
@@ -52,43 +397,733 @@ class RollStartsManager extends EventEmitter {
         // If there is already a watcher, then return it
         if (this.#watcher) return this.#watcher;
 
-        // Create a watcher instance
-        this.#watcher = fs.watch(this.#options.path, () => this.restart());
+        // Normalize the watch option into the watcher options
+        let watch_options = should_watch;
+        if (should_watch === true) watch_options = { paths: this.#options.path };
+        else if (typeof should_watch === 'string' || Array.isArray(should_watch))
+            watch_options = { paths: should_watch };
+        else if (!watch_options.paths) watch_options = { ...watch_options, paths: this.#options.path };
+
+        // Also watch the configuration file so changes to it are reloaded
+        if (this.#config)
+            watch_options = { ...watch_options, paths: [].concat(watch_options.paths, this.#config.file) };
+
+        // Create a watcher instance which restarts the application with the changed files
+        this.#watcher = new RollStartsWatcher(watch_options);
+        this.#watcher.on('error', (error) => this.emit('error', error));
+        this.#watcher.on('change', (files) => {
+            // Reload the options from the configuration file before restarting if it has changed
+            const config = this.#config && files.some((file) => path.resolve(file) === this.#config.file);
+            if (config)
+                try {
+                    this.#reload_config();
+                } catch (error) {
+                    return this.#report(error);
+                }
+
+            this.restart({ reason: config ? 'config' : 'watch', metadata: { files } }).catch((error) =>
+                this.#report(error)
+            );
+        });
 
         // Return the watcher instance
         return this.#watcher;
     }
 
-    #restart_promise;
+    /**
+     * Changes the options of the application for the next generation without restarting the master process.
+     * Note! The `listen`, `instances`, `control`, `metrics`, `logs` and `signals` options are bound to resources opened on start and cannot be changed.
+     * @param {Partial<RollStartsOptions>} options The options to change which are merged over the current options.
+     */
+    reload(options) {
+        // The options no longer matter once the manager is being destroyed
+        if (this.#destroy_promise) return;
+
+        // Ensure none of the options which cannot be reloaded are changed
+        for (const key of STATIC_OPTIONS)
+            if (key in options && JSON.stringify(options[key]) !== JSON.stringify(this.#options[key]))
+                throw new Error(
+                    `RollStartsManager: The "${key}" Option Cannot Be Reloaded Without Restarting The Master Process`
+                );
+
+        // Validate the new options before applying any of them
+        let cron = this.#cron;
+        if ('restart_schedule' in options)
+            cron = options.restart_schedule ? parse_cron(options.restart_schedule) : null;
+        validate_options(options);
+
+        // Apply the new options which are read by the next generation
+        const changed = (...keys) => keys.some((key) => key in options);
+        this.#options = { ...this.#options, ...options };
+        if (changed('recover_attempts')) this.#recover_attempts = this.#options.recover_attempts ?? 100;
+
+        // Reschedule the time based restarts and the resource usage checks if their options changed
+        if (changed('restart_schedule', 'restart_every_ms', 'restart_jitter_ms')) {
+            clearTimeout(this.#schedule_timeout);
+            this.#cron = cron;
+            this.#schedule();
+        }
+        if (changed('max_memory_mb', 'max_cpu_percent', 'resource_check_interval_ms')) this.#monitor_resources();
+
+        // Recreate the watcher if the watched files changed
+        if (changed('watch', 'path') && this.#watcher) {
+            this.#watcher.close();
+            this.#watcher = null;
+            this.watch();
+        }
+    }
+
+    /**
+     * Reloads the options from the configuration file while the options passed in code keep taking precedence.
+     * Note! Options which have been removed from the configuration file are reset to their defaults.
+     */
+    #reload_config() {
+        const { file, overrides } = this.#config;
+        const options = { ...load_config(file, true), ...overrides };
+        for (const key in this.#options) if (!(key in options)) options[key] = undefined;
+        this.reload(options);
+    }
+
+    /**
+     * Performs a rolling restart onto a different release such as a newly unpacked release directory.
+     * If the new release fails to become ready, the previous release is kept for later restarts and recoveries.
+     * Note! The `args` default to the path of the release rather than the arguments of the previous release.
+     * @param {import('./releases.js').RollStartsRelease} release
+     * @returns {Promise<void>}
+     */
+    async deploy(release) {
+        // Ensure the root Javascript file of the release is provided and accessible
+        if (!release || !release.path) throw new Error('RollStarts: The release.path argument is required to deploy.');
+        release = { ...release, path: path.resolve(release.path), cwd: release.cwd && path.resolve(release.cwd) };
+        try {
+            await fs.promises.access(release.path);
+        } catch (cause) {
+            throw new Error(`RollStarts: Unable to access the release path at "${release.path}".`, { cause });
+        }
+
+        // Remember the release once it is active while forgetting the oldest releases
+        await this.#deploy(release, 'deploy');
+        this.#releases.push({ ...release, deployed_at: Date.now() });
+        this.#releases.splice(0, this.#releases.length - (this.#options.release_history || 5));
+    }
+
+    /**
+     * Performs a rolling restart back onto the release which was deployed before the current release.
+     * @returns {Promise<void>}
+     */
+    async rollback() {
+        // Ensure there is a previous release to return to
+        if (this.#releases.length < 2)
+            throw new Error('RollStartsManager: There Is No Previous Release To Roll Back To');
+
+        // Forget the releases after the previous release once it is active again
+        const previous = this.#releases[this.#releases.length - 2];
+        await this.#deploy(previous, 'rollback');
+        this.#releases.splice(this.#releases.lastIndexOf(previous) + 1);
+    }
+
+    /**
+     * Switches the options to a release and performs a rolling restart onto it.
+     * @param {import('./releases.js').RollStartsRelease} release
+     * @param {'deploy'|'rollback'} reason
+     * @returns {Promise<void>}
+     */
+    async #deploy(release, reason) {
+        // Wait for the restart in flight as its generation was already spawned from the current release
+        while (this.#restart_promise) await this.#restart_promise.catch(() => {});
+        if (this.#destroy_promise)
+            throw new Error('RollStartsManager: Unable To Deploy A Release As The Manager Is Being Destroyed');
+
+        // Restart onto the release and switch back to the current release if it fails to become ready
+        const current = this.#releases[this.#releases.length - 1];
+        this.reload(this.#release_options(release));
+        try {
+            await this.restart({ reason, metadata: { release } });
+        } catch (error) {
+            this.reload(this.#release_options(current));
+            throw error;
+        }
+    }
+
+    /**
+     * Returns the options which run a release.
+     * @param {import('./releases.js').RollStartsRelease} release
+     * @returns {Partial<RollStartsOptions>}
+     */
+    #release_options(release) {
+        return {
+            path: release.path,
+            args: release.args,
+            command: release.command || this.#options.command,
+            options: { ...this.#options.options, cwd: release.cwd },
+        };
+    }
+
+    #restart_promise = null;
+    #queued = null; // The follow-up restart requested while a restart is in flight (if any)
+    #cancelled = false; // Whether the restart in flight has been cancelled
     /**
      * Performs a zero-downtime rolling restart of the application.
      * If there is no active process, then a normal start is performed to launch the application.
+     * Note! Workers are replaced one batch at a time and each batch waits for its replacements to be ready.
+     * Note! A restart requested while another is in flight is queued to begin once it settles, as its processes may have already loaded the previous code.
+     * All of the requests made during the same restart share the single follow-up restart which uses the reason of the latest request.
+     * @param {string|RollStartsRestartRequest} [request='manual'] The reason for the restart or the reason along with the details of its trigger.
+     * @returns {Promise<void>}
+     */
+    restart(request = 'manual') {
+        const { reason = 'manual', metadata = {} } = typeof request === 'string' ? { reason: request } : request;
+
+        // Queue a single follow-up restart if a restart is already in flight
+        if (this.#restart_promise) {
+            if (!this.#queued) {
+                const queued = {};
+                queued.promise = new Promise((resolve, reject) => Object.assign(queued, { resolve, reject }));
+                this.#queued = queued;
+            }
+            Object.assign(this.#queued, { reason, metadata });
+            return this.#queued.promise;
+        }
+
+        return this.#begin(reason, metadata);
+    }
+
+    /**
+     * Begins a rolling restart and then the follow-up restart which was queued while it was in flight (if any).
+     * @param {string} reason
+     * @param {Object} metadata
+     * @returns {Promise<void>}
+     */
+    #begin(reason, metadata) {
+        this.#metrics.restart(reason);
+
+        // Create a promise to resolve when all the batches of the next generation have been replaced
+        // An explicit restart always attempts the current configuration even after a rollback
+        this.#generation++;
+        this.#reason = reason;
+        this.#pinned = null;
+        this.#cancelled = false;
+        this.emit('restart', reason, metadata);
+        this.#restart_promise = this.#restart().finally(() => {
+            this.#restart_promise = null;
+
+            // Begin the follow-up restart right away so anyone waiting for the restart in flight sees it in flight
+            const queued = this.#queued;
+            if (!queued) return;
+            this.#queued = null;
+            this.#begin(queued.reason, queued.metadata).then(queued.resolve, queued.reject);
+        });
+
+        // Return the promise
+        return this.#restart_promise;
+    }
+
+    /**
+     * Cancels the rolling restart in flight and the follow-up restart queued behind it (if any).
+     * The new processes which are not ready yet are stopped while the processes they would replace keep serving and the remaining batches are skipped.
+     * Note! Processes which are already active, including those within a canary window, are kept.
+     * So are new processes without an old process serving beside them, such as those of the initial start or of workers stopped first with `max_unavailable`.
+     * @returns {boolean} Whether there was a follow-up restart, a starting replacement or a remaining batch to cancel.
+     */
+    cancelRestart() {
+        if (!this.#restart_promise) return false;
+
+        // Find the replacements which are starting up beside the processes they would replace and the workers whose batch has not begun yet
+        const starting = this.#workers.filter(
+            ({ active, temporary }) => active && temporary && this.#cancels.has(temporary)
+        );
+        const waiting = this.#workers.filter(
+            ({ active, promise }) => active && !promise && this.#spawned.get(active).generation < this.#generation
+        );
+        if (!this.#queued && !starting.length && !waiting.length) return false;
+
+        // Reject the follow-up restart as it has not begun yet
+        if (this.#queued) {
+            this.#queued.reject(this.#cancellation());
+            this.#queued = null;
+        }
+
+        // Skip the remaining batches and stop the replacements which are still starting up
+        this.#cancelled = true;
+        for (const { temporary } of starting) this.#cancels.get(temporary)();
+        return true;
+    }
+
+    /**
+     * Returns the error which a cancelled restart is rejected with.
+     * @returns {Error}
+     */
+    #cancellation() {
+        const error = new Error('RollStartsManager: The Rolling Restart Was Cancelled');
+        error.cancelled = true;
+        return error;
+    }
+
+    /**
+     * Runs the before restart hooks, replaces all the workers and then runs the after active hooks.
+     * Note! Without before restart hooks the first batch is still spawned synchronously.
+     */
+    async #restart() {
+        const { before_restart, after_active } = this.#options;
+        const generation = this.#generation;
+
+        // Abort the restart while the current processes keep serving if any of the hooks fail
+        if (before_restart) await this.#run_hooks(before_restart, { phase: 'before_restart', generation });
+        if (this.#cancelled) throw this.#cancellation();
+
+        // Read the environment files after the hooks so a hook may write them
+        // The replacements stopped by a cancellation reject the restart with their exit which is reported as the cancellation instead
+        const { env_file, env } = this.#options;
+        this.#env = { ...(env_file ? load_env_files(env_file) : {}), ...env };
+        try {
+            await this.#roll();
+        } catch (error) {
+            throw this.#cancelled ? this.#cancellation() : error;
+        }
+
+        // The generation is already active so a failing hook is only reported
+        if (after_active) await this.#run_hooks(after_active, { phase: 'after_active', generation }).catch(() => {});
+    }
+
+    /**
+     * Runs hooks and emits a 'hook-failed' event with the error carrying the output of the failing hook.
+     * @param {import('./hooks.js').RollStartsHook|import('./hooks.js').RollStartsHook[]} hooks
+     * @param {import('./hooks.js').RollStartsHookContext} context
+     * @returns {Promise<void>}
+     */
+    async #run_hooks(hooks, context) {
+        // Run the shell commands with the environment of the application rather than only the env of its spawn options
+        // The environment files are those of the generation which is served as a before restart hook may still write them
+        const options = this.#options.options || {};
+        const env = { ...process.env, ...options.env, ...this.#env, ...this.#options.env };
+        try {
+            await run_hooks(hooks, context, { ...options, env });
+        } catch (error) {
+            this.emit('hook-failed', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Emits an error of a restart which nobody is awaiting.
+     * Note! Failed hooks are skipped as they have already been reported with a 'hook-failed' event and cancelled restarts as they were cancelled on purpose.
+     * Note! The error is emitted as a process warning without an 'error' listener so a failed background restart never crashes the master process.
+     * @param {Error} error
+     */
+    #report(error) {
+        // Failures of restarts which are interrupted by destroying the manager are expected
+        if (error.hook !== undefined || error.cancelled || this.#destroy_promise) return;
+        if (this.listenerCount('error')) this.emit('error', error);
+        else process.emitWarning(error);
+    }
+
+    /**
+     * Triggers a rolling restart with a 'restart' event which carries the reason and the details of the trigger.
+     * Note! Triggers are skipped while a restart is already in flight or the manager is being destroyed.
+     * @param {string} reason
+     * @param {Object} metadata
+     */
+    #trigger(reason, metadata) {
+        if (this.in_flight || this.#destroy_promise) return;
+        this.restart({ reason, metadata }).catch((error) => this.#report(error));
+    }
+
+    /**
+     * Schedules the next time based restart from the interval or the cron expression with a random jitter.
+     */
+    #schedule() {
+        const { restart_every_ms, restart_schedule, restart_jitter_ms = 0 } = this.#options;
+        if (!restart_every_ms && !this.#cron) return;
+
+        // Determine when the next restart is due
+        const now = Date.now();
+        const due =
+            (this.#cron ? this.#cron.next(new Date(now)).getTime() : now + restart_every_ms) +
+            Math.random() * restart_jitter_ms;
+
+        // Wait in multiple steps if the delay is longer than a timeout supports
+        const wait = () => {
+            const remaining = due - Date.now();
+            if (remaining > 0) return (this.#schedule_timeout = setTimeout(wait, Math.min(remaining, MAX_TIMEOUT_MS)));
+
+            // Trigger the restart and schedule the next one
+            this.#schedule_timeout = null;
+            this.#trigger('schedule', this.#cron ? { schedule: restart_schedule } : { every_ms: restart_every_ms });
+            this.#schedule();
+        };
+        this.#schedule_timeout = setTimeout(wait, Math.min(due - now, MAX_TIMEOUT_MS));
+    }
+
+    /**
+     * Begins or stops sampling the resource usage of the child processes depending on whether any limits are configured.
+     */
+    #monitor_resources() {
+        const { max_memory_mb, max_cpu_percent, resource_check_interval_ms = 5000 } = this.#options;
+        clearInterval(this.#resource_interval);
+        this.#resource_interval = null;
+        if (max_memory_mb || max_cpu_percent)
+            this.#resource_interval = setInterval(() => this.#check_resources(), resource_check_interval_ms);
+    }
+
+    /**
+     * Sends a heartbeat to every child process and emits an 'unresponsive' event for each active process which has stopped sending its own.
+     * Note! Only child processes which have sent at least one heartbeat are checked as processes which do not use rollstarts never send any.
+     */
+    #heartbeat() {
+        for (const child of this.#children) {
+            try {
+                if (child.connected) child.send(encode(RS_CONSTANTS.HEARTBEAT));
+            } catch (error) {}
+        }
+
+        const { heartbeat_timeout_ms = HEARTBEAT_DEFAULT_TIMEOUT_MS } = this.#options;
+        for (const { id, active } of this.#workers) {
+            if (!active || !this.#heartbeats.has(active) || this.#unresponsive.has(active)) continue;
+            const silent_ms = Date.now() - this.#heartbeats.get(active);
+            if (silent_ms < heartbeat_timeout_ms) continue;
+            this.#unresponsive.add(active);
+            this.emit('unresponsive', active, id, silent_ms);
+        }
+    }
+
+    /**
+     * Writes the PIDs of the child processes which are still running to the PID file if enabled.
+     */
+    #write_pid_file() {
+        if (!this.#pid_file) return;
+        try {
+            write_pid_file(
+                this.#pid_file,
+                [...this.#children].map(({ pid }) => pid)
+            );
+        } catch (error) {
+            this.emit('error', error);
+        }
+    }
+
+    #checking_resources = false;
+    /**
+     * Samples the memory and CPU usage of the active processes and triggers a rolling restart if any of them crossed a limit.
+     */
+    async #check_resources() {
+        // Skip the check while a previous check, a restart or the destroy is still in progress
+        if (this.#checking_resources || this.in_flight || this.#destroy_promise) return;
+        const { max_memory_mb, max_cpu_percent, max_cpu_duration_ms = 60000 } = this.#options;
+
+        let usage;
+        this.#checking_resources = true;
+        try {
+            usage = await this.#limits_sampler.sample(this.#active_processes());
+        } finally {
+            this.#checking_resources = false;
+        }
+
+        const now = Date.now();
+        for (const { id, active } of this.#workers) {
+            const sample = active && usage.get(active.pid);
+            if (!sample) continue;
+
+            // Restart as soon as the memory limit is crossed
+            const { rss_bytes, cpu_percent } = sample;
+            if (max_memory_mb && rss_bytes > max_memory_mb * 1024 * 1024)
+                return this.#trigger('memory', { worker: id, pid: active.pid, rss_bytes, max_memory_mb });
+
+            // Restart once the CPU usage has stayed at or above the limit for long enough
+            if (!max_cpu_percent) continue;
+            if (cpu_percent < max_cpu_percent) {
+                this.#high_cpu.delete(active);
+                continue;
+            }
+            if (!this.#high_cpu.has(active)) this.#high_cpu.set(active, now);
+            const duration_ms = now - this.#high_cpu.get(active);
+            if (duration_ms >= max_cpu_duration_ms)
+                return this.#trigger('cpu', { worker: id, pid: active.pid, cpu_percent, duration_ms, max_cpu_percent });
+        }
+    }
+
+    /**
+     * Returns the PID and spawn details of the active process of each worker which has one.
+     * @returns {Array<{pid: number, generation: number, spawned_at: number}>}
      */
-    restart() {
-        // If there is an existing restart process, return the promise
-        if (this.#restart_promise) return this.#restart_promise;
+    #active_processes() {
+        // Worker threads are skipped as their usage cannot be sampled separately from this process
+        return this.#workers
+            .filter(({ active }) => active && !(active instanceof RollStartsThread))
+            .map(({ active }) => ({ pid: active.pid, ...this.#spawned.get(active) }));
+    }
+
+    /**
+     * Replaces all the workers one batch at a time.
+     * Note! The first batch is spawned synchronously so the manager is in flight as soon as a restart is requested.
+     */
+    async #roll() {
+        const { batch_size = 1, max_unavailable = 0 } = this.#options;
+
+        // Start all the idle workers at once as there are no active processes to replace
+        const idle = this.#workers.filter((worker) => !worker.active);
+        if (idle.length) await Promise.all(idle.map((worker) => this.#restart_worker(worker)));
+
+        // Replace the remaining workers one batch at a time
+        const busy = this.#workers.filter((worker) => !idle.includes(worker));
+        for (let i = 0; i < busy.length; i += batch_size) {
+            if (this.#cancelled) throw this.#cancellation();
+            const batch = busy.slice(i, i + batch_size);
+            await Promise.all(batch.map((worker, index) => this.#restart_worker(worker, index < max_unavailable)));
+        }
+    }
+
+    /**
+     * Replaces the active process of a single worker with a new process.
+     * @param {RollStartsWorker} worker
+     * @param {boolean} [stop_first=false] Whether to stop the active process before spawning its replacement.
+     * @param {string} [reason] The reason the new process is started which defaults to the reason of the current generation.
+     * @returns {Promise<void>}
+     */
+    #restart_worker(worker, stop_first = false, reason = this.#reason) {
+        // If there is an existing restart for this worker, return the promise
+        if (worker.promise) return worker.promise;
+
+        // Stop the active process first if requested, otherwise spawn the replacement right away
+        if (stop_first && worker.active) {
+            // Detach the active process from the worker so its exit is not treated as a crash
+            const old_process = worker.active;
+            worker.active = null;
+            worker.promise = this.#terminate(old_process).then(() => this.#spawn(worker, reason));
+        } else {
+            worker.promise = this.#spawn(worker, reason);
+        }
+
+        // Clear the promise once the worker has been replaced
+        worker.promise = worker.promise.finally(() => (worker.promise = null));
+        return worker.promise;
+    }
+
+    /**
+     * Gracefully terminates a child process and resolves once it has exited.
+     * Note! Terminating a process which is already being terminated returns the same promise.
+     * @param {child_process.ChildProcess} child
+     * @returns {Promise<void>}
+     */
+    #terminate(child) {
+        if (!this.#terminations.has(child))
+            this.#terminations.set(
+                child,
+                this.#shutdown(child).finally(() => this.#terminations.delete(child))
+            );
+        return this.#terminations.get(child);
+    }
+
+    /**
+     * Asks a process which is able to drain to stop serving and then escalates from a SIGTERM to a SIGKILL until it has exited.
+     * @param {child_process.ChildProcess} child
+     * @returns {Promise<void>}
+     */
+    async #shutdown(child) {
+        const { drain_timeout_ms = DRAIN_DEFAULT_TIMEOUT_MS, kill_timeout_ms = KILL_DEFAULT_TIMEOUT_MS } =
+            this.#options;
+
+        // Ask the process to stop serving and wait for it to drain if it is able to
+        if (this.#drainable.has(child) && child.connected) {
+            try {
+                child.send(encode(RS_CONSTANTS.SHOULD_STOP_SERVING));
+                if (await this.#wait_for_exit(child, drain_timeout_ms)) return;
+            } catch (error) {}
+        }
+
+        // Send a SIGTERM to the process and wait for it to exit
+        if (child.exitCode !== null || child.signalCode !== null) return;
+        child.kill('SIGTERM');
+        if (await this.#wait_for_exit(child, kill_timeout_ms)) return;
+
+        // Forcefully kill the process as it did not exit in time
+        child.kill('SIGKILL');
+        await this.#wait_for_exit(child, Infinity);
+    }
+
+    /**
+     * Resolves with `true` once a child process has exited or `false` if it is still running after the timeout.
+     * @param {child_process.ChildProcess} child
+     * @param {number} timeout_ms
+     * @returns {Promise<boolean>}
+     */
+    #wait_for_exit(child, timeout_ms) {
+        return new Promise((resolve) => {
+            // Resolve immediately if the process has already exited
+            if (child.exitCode !== null || child.signalCode !== null) return resolve(true);
+
+            // Resolve once the process exits or the timeout expires, whichever comes first
+            let timeout;
+            const listener = () => {
+                clearTimeout(timeout);
+                resolve(true);
+            };
+            if (timeout_ms !== Infinity)
+                timeout = setTimeout(() => {
+                    child.removeListener('exit', listener);
+                    resolve(false);
+                }, timeout_ms);
+            child.once('exit', listener);
+        });
+    }
+
+    /**
+     * Spawns a child process which runs a spawn configuration.
+     * @param {RollStartsSpawnConfig} config
+     * @param {Object<string, string>} environment
+     * @param {'stdout'|'stderr'|null} matched_stream The stream which is matched by a stdout readiness check (if any).
+     * @returns {child_process.ChildProcess}
+     */
+    #spawn_process(config, environment, matched_stream) {
+        const { options = {}, readiness } = this.#options;
+
+        // Determine the stdio streams
+        // By default, we will inherit all stdio streams
+        let stdio = options.stdio || ['inherit', 'inherit', 'inherit', 'ipc'];
+
+        // Pipe the stdout and stderr streams so they can be captured by the logger
+        if (this.#logger) {
+            if (typeof stdio === 'string') stdio = [stdio, stdio, stdio];
+            stdio = [stdio[0], 'pipe', 'pipe', ...stdio.slice(3)];
+        }
+
+        // Pipe the stream which is matched by a stdout readiness check
+        if (matched_stream) {
+            if (typeof stdio === 'string') stdio = [stdio, stdio, stdio];
+            stdio = [...stdio];
+            stdio[matched_stream === 'stdout' ? 1 : 2] = 'pipe';
+        }
+
+        // Warn the user if the ipc stdio stream is not being declared unless readiness is determined without IPC
+        if (!stdio.includes('ipc') && (!readiness || readiness === 'ipc'))
+            console.warn(
+                'RollStarts: The ipc stdio stream is not being declared within stdio argument. This may prevent IPC which is required for RollStarts to work properly.'
+            );
+
+        return child_process.spawn(config.command, config.args, {
+            // By default, hide the sub process windows on Windows
+            windowsHide: true,
+
+            // Include the user's options to override the defaults
+            ...options,
+
+            // By default, we will inherit all the stdio streams
+            // The user can override this by passing in their own options
+            stdio,
+
+            // Include the environment variables
+            env: environment,
+        });
+    }
+
+    /**
+     * Starts a worker thread which runs a spawn configuration within this process.
+     * @param {RollStartsSpawnConfig} config
+     * @param {Object<string, string>} environment
+     * @param {'stdout'|'stderr'|null} matched_stream The stream which is matched by a stdout readiness check (if any).
+     * @returns {RollStartsThread}
+     */
+    #spawn_thread(config, environment, matched_stream) {
+        const { max_memory_mb, resource_limits } = this.#options;
+
+        // Resolve the path as a worker thread rejects relative paths which do not begin with ./ or ../
+        return new RollStartsThread(path.resolve(config.path), {
+            argv: config.args,
+            env: environment,
+
+            // Pipe the stdout and stderr streams so they can be captured by the logger or matched by a readiness check
+            stdout: this.#logger !== null || matched_stream === 'stdout',
+            stderr: this.#logger !== null || matched_stream === 'stderr',
+
+            // Limit the heap of the thread as its memory usage cannot be sampled separately from this process
+            resourceLimits: { maxOldGenerationSizeMb: max_memory_mb, ...resource_limits },
+        });
+    }
+
+    /**
+     * Returns a promise which resolves once a process being stopped has released its inspector port if every inspector port is held.
+     * Note! Resolves with `null` if a port is free or the ports are held by processes which keep running so the spawn fails instead.
+     * @returns {Promise<void>|null}
+     */
+    #inspector_release() {
+        const inspect =
+            this.#options.mode === 'worker' ? null : resolve_inspect(this.#options.inspect, this.#workers.length);
+        if (!inspect) return null;
+
+        const held = new Set(this.#inspector_ports.values());
+        if (inspect.ports.some((port) => !held.has(port))) return null;
+        const stopping = [...this.#inspector_ports.keys()]
+            .filter((child) => this.#terminations.has(child))
+            .map((child) => this.#terminations.get(child));
+        return stopping.length ? Promise.race(stopping) : null;
+    }
+
+    /**
+     * Spawns a new process for a worker which will become its active process once it is ready.
+     * @param {RollStartsWorker} worker
+     * @param {string} reason The reason the new process is started.
+     * @returns {Promise<void>}
+     */
+    #spawn(worker, reason) {
+        // Spawning is cancelled once the manager is being destroyed so no process outlives it
+        if (this.#destroy_promise) return Promise.reject(this.#cancellation());
+
+        // Wait for a process which is being stopped to release its inspector port if all of them are held
+        const released = this.#inspector_release();
+        if (released) return released.then(() => this.#spawn(worker, reason));
+
+        return new Promise((resolve, reject) => {
+            // Use the known good configuration after a rollback, otherwise use the current configuration
+            const threaded = this.#options.mode === 'worker';
+            const config = this.#pinned || {
+                command: this.#options.command || 'node',
+                args: this.#options.args || (threaded ? [] : [this.#options.path]),
+                path: this.#options.path,
+                env: this.#env,
+            };
 
-        // Create a promise to resolve when the restart is complete
-        this.#restart_promise = new Promise((resolve, reject) => {
             // Destructure the options
             const {
-                command = 'node',
-                args = [this.#options.path],
                 options = {},
                 ipc_timeout_ms = IPC_DEFAULT_TIMEOUT_MS,
+                heartbeat_interval_ms = HEARTBEAT_DEFAULT_INTERVAL_MS,
+                heartbeat_timeout_ms = HEARTBEAT_DEFAULT_TIMEOUT_MS,
+                drain_timeout_ms = DRAIN_DEFAULT_TIMEOUT_MS,
+                startup_timeout_ms = STARTUP_DEFAULT_TIMEOUT_MS,
+                handoff_timeout_ms = HANDOFF_DEFAULT_TIMEOUT_MS,
+                handoff_max_bytes = HANDOFF_DEFAULT_MAX_BYTES,
+                recover_ttl_ms = 1000,
             } = this.#options;
+            const readiness =
+                this.#options.readiness && this.#options.readiness !== 'ipc' ? this.#options.readiness : null;
 
             // Generate the environment variables for the child process
             const environment = {
                 ...process.env, // Pass through current environment variables
                 ...options.env, // Pass through any environment variables specified in the options
+                ...config.env, // Pass through the environment files and the env option of the generation
             };
 
-            // Include the IPC timeout environment variable
+            // Include the IPC timeout and worker id environment variables
             environment[RS_CONSTANTS.IPC_TIMEOUT_MS] = ipc_timeout_ms.toString();
+            environment[RS_CONSTANTS.WORKER_ID] = worker.id.toString();
+            environment[RS_CONSTANTS.GENERATION] = this.#generation.toString();
+            environment[RS_CONSTANTS.MASTER_PID] = process.pid.toString();
+            if (this.#context.name !== undefined) environment[RS_CONSTANTS.APP_NAME] = this.#context.name;
+
+            // Include the handoff environment variables so the child process limits the state it hands off and waits for
+            environment[RS_CONSTANTS.HANDOFF_TIMEOUT_MS] = handoff_timeout_ms.toString();
+            environment[RS_CONSTANTS.HANDOFF_MAX_BYTES] = handoff_max_bytes.toString();
+
+            // Include the heartbeat environment variables so the child process exits if this process goes silent
+            // Worker threads cannot outlive this process so they do not need the heartbeats
+            if (heartbeat_interval_ms > 0 && !threaded) {
+                environment[RS_CONSTANTS.HEARTBEAT_INTERVAL_MS] = heartbeat_interval_ms.toString();
+                environment[RS_CONSTANTS.HEARTBEAT_TIMEOUT_MS] = heartbeat_timeout_ms.toString();
+                environment[RS_CONSTANTS.DRAIN_TIMEOUT_MS] = drain_timeout_ms.toString();
+            }
 
             // Store an environment variable to indicate the type of rollstarts child process
-            if (this.#active_process) {
+            if (worker.active) {
                 // If we have an active process, then the child process is a recurring process
                 environment[RS_CONSTANTS.IS_ROLLSTARTS_RECURRING_PROCESS] = 'true';
             } else {
@@ -97,176 +1132,829 @@ class RollStartsManager extends EventEmitter {
                 environment[RS_CONSTANTS.IS_ROLLSTARTS_INITIAL_PROCESS] = 'true';
             }
 
-            // Determine the stdio streams
-            // By default, we will inherit all stdio streams
-            const stdio = options.stdio || ['inherit', 'inherit', 'inherit', 'ipc'];
+            // Determine the stream which is matched by a stdout readiness check
+            const matched_stream = readiness && readiness.type === 'stdout' ? readiness.stream || 'stdout' : null;
 
-            // Warn the user if the ipc stdio stream is not being declared
-            if (!stdio.includes('ipc'))
-                console.warn(
-                    'RollStarts: The ipc stdio stream is not being declared within stdio argument. This may prevent IPC which is required for RollStarts to work properly.'
-                );
+            // Hand the new process an inspector port which is not held by a process of an earlier generation
+            // The processes spawned by restarts and recoveries are paused on their first line if requested
+            const inspect = threaded ? null : resolve_inspect(this.#options.inspect, this.#workers.length);
+            let inspector = null;
+            if (inspect) {
+                const held = new Set(this.#inspector_ports.values());
+                const port = inspect.ports.find((port) => !held.has(port));
+                if (port === undefined)
+                    return reject(
+                        new Error(
+                            `RollStartsManager: No Inspector Port Is Available As Ports ${inspect.ports.join(
+                                ', '
+                            )} Are Held By Running Processes`
+                        )
+                    );
+                const paused = inspect.break && reason !== 'start';
+                const flag = `${paused ? '--inspect-brk' : '--inspect'}=${inspect.host}:${port}`;
+                inspector = { host: inspect.host, port, paused, flag };
+            }
 
             // Create a new recurring process
-            const new_process = child_process.spawn(command, args, {
-                // By default, hide the sub process windows on Windows
-                windowsHide: true,
-
-                // Include the user's options to override the defaults
-                ...options,
-
-                // By default, we will inherit all the stdio streams
-                // The user can override this by passing in their own options
-                stdio,
+            const new_process = threaded
+                ? this.#spawn_thread(config, environment, matched_stream)
+                : this.#spawn_process(
+                      inspector ? { ...config, args: [inspector.flag, ...config.args] } : config,
+                      environment,
+                      matched_stream
+                  );
 
-                // Include the environment variables
-                env: environment,
-            });
+            // Look up the URL of the inspector which is announced right away for a paused process as it waits for a debugger to attach
+            if (inspector) {
+                this.#inspector_ports.set(new_process, inspector.port);
+                inspector.url = inspector_url(inspector.host, inspector.port, new_process);
+                inspector.url.catch(() => {});
+                if (inspector.paused)
+                    inspector.url.then(
+                        (url) => this.emit('inspector', url, new_process, worker.id),
+                        () => {}
+                    );
+            }
 
             // Pipe all errors from the recurring process to the master process
             new_process.on('error', (error) => this.emit('error', error));
 
+            // Capture the output of the recurring process
+            if (this.#logger) this.#logger.attach(new_process, this.#generation, worker.id, this.#context.name);
+            else if (matched_stream) new_process[matched_stream].pipe(process[matched_stream], { end: false });
+
+            // Remember the configuration of the recurring process so it can be reused once it is known to be good
+            this.#configs.set(new_process, config);
+            // Remember the process it replaces which is the active process or otherwise the last process of this worker which exited
+            // The exit of each process is shared with its replacement so the replacement sees it once the process has exited
+            const spawned_at = Date.now();
+            const exit = { pid: new_process.pid, exit_code: null, signal: null };
+            const previous = worker.active ? this.#spawned.get(worker.active).exit : worker.exited;
+            this.#spawned.set(new_process, { generation: this.#generation, spawned_at, reason, previous, exit });
+
+            // Record the recurring process within the PID file until it exits
+            // Worker threads are not recorded as they cannot outlive this process
+            if (new_process.pid !== undefined && !threaded) {
+                this.#children.add(new_process);
+                this.#write_pid_file();
+            }
+
+            // Settles the restart of this worker once
+            let settled = false;
+            const settle = (error) => {
+                if (settled) return;
+                settled = true;
+                if (error) reject(error);
+                else resolve();
+            };
+
+            // Kill the new process if it does not become ready within the startup timeout
+            let timed_out = false;
+            let cancelled = false;
+            let stable_timeout;
+            const startup_timeout =
+                startup_timeout_ms > 0 &&
+                setTimeout(() => {
+                    // Ignore the timeout if the new process became ready or exited in the meantime
+                    if (settled) return;
+                    settled = true;
+                    timed_out = true;
+
+                    // Remove this process as the temporary process so its exit is not treated as a crash
+                    if (worker.temporary && worker.temporary.pid === new_process.pid) worker.temporary = null;
+
+                    // Emit a 'startup-timeout' event and stop the stuck process while the active process keeps serving
+                    if (stop_readiness) stop_readiness();
+                    this.emit('startup-timeout', new_process, worker.id);
+                    this.#terminate(new_process);
+
+                    // Reject the restart promise with an error which is marked as a startup timeout
+                    const error = new Error(
+                        `RollStartsManager: Child Process ${new_process.pid} Did Not Become Ready Within The Startup Timeout Of ${startup_timeout_ms}ms`
+                    );
+                    error.timed_out = true;
+                    reject(error);
+                }, startup_timeout_ms);
+
+            // Promotes this process to the active process of this worker once it is ready
+            let is_ready = false;
+            let stop_liveness = null;
+            const become_ready = () => {
+                // Ignore readiness if this process has already timed out or been cancelled during startup or is already ready
+                if (timed_out || cancelled || is_ready) return;
+                is_ready = true;
+                clearTimeout(startup_timeout);
+                this.#cancels.delete(new_process);
+                this.#metrics.startup(Date.now() - spawned_at);
+
+                // Watch this process with a canary window if enabled, otherwise gracefully stop the old process of this worker (if it exists)
+                const old_process = worker.active && worker.active !== new_process ? worker.active : null;
+                const canary = old_process && this.#options.canary_ms > 0;
+                if (canary) this.#begin_canary(worker, new_process, old_process, settle);
+                else if (old_process) this.#terminate(old_process);
+
+                // Store this recurring process as the active process of this worker
+                worker.active = new_process;
+
+                // Emit an 'active' event for the active process
+                this.emit('active', new_process, worker.id);
+
+                // Emit an 'inspector' event with the URL of the inspector of this process unless it was announced while paused
+                if (inspector && !inspector.paused)
+                    inspector.url.then(
+                        (url) => this.emit('inspector', url, new_process, worker.id),
+                        () => {}
+                    );
+
+                // Reset the recovery attempts of this worker once this process remains active for the recovery TTL
+                clearTimeout(stable_timeout);
+                stable_timeout = setTimeout(() => (worker.attempts = this.#recover_attempts), recover_ttl_ms);
+                stable_timeout.unref();
+
+                // Remove this process as the temporary process if the PID matches
+                if (worker.temporary && worker.temporary.pid === new_process.pid) worker.temporary = null;
+
+                // Begin the liveness checks of this process if enabled
+                if (this.#options.liveness) stop_liveness = this.#watch_liveness(worker, new_process);
+
+                // Instruct the active process to begin serving information
+                try {
+                    new_process.send(encode(RS_CONSTANTS.SHOULD_BEGIN_TO_SERVE));
+                } catch (error) {}
+
+                // Resolve the promise now or once the canary window has passed
+                if (!canary) settle();
+            };
+
+            // Evaluate the readiness check of this process if one is configured
+            const stop_readiness = readiness ? wait_for_ready(readiness, new_process, worker.id, become_ready) : null;
+
+            // Stops this process while it is starting up if the restart is cancelled so it can never become ready
+            this.#cancels.set(new_process, () => {
+                if (settled) return;
+                settled = true;
+                cancelled = true;
+                clearTimeout(startup_timeout);
+                this.#cancels.delete(new_process);
+
+                // Remove this process as the temporary process so its exit is not treated as a crash
+                if (worker.temporary && worker.temporary.pid === new_process.pid) worker.temporary = null;
+                if (stop_readiness) stop_readiness();
+                this.#terminate(new_process);
+                reject(this.#cancellation());
+            });
+
             // Listen for 'message' events from the recurring process
+            let mismatched = false;
             new_process.on('message', async (raw) => {
+                // Ignore messages which are not part of the rollstarts protocol as they belong to the application
+                // Messages of another protocol version are ignored as well and reported once per process
+                // The mismatch is emitted as a 'protocol-mismatch' event or as a process warning so it never throws
+                const message = decode(raw, (version) => {
+                    if (mismatched) return;
+                    mismatched = true;
+                    const error = new Error(
+                        `RollStarts: The process ${new_process.pid} uses version ${version} of the IPC protocol instead of version ${PROTOCOL_VERSION} so its messages are ignored. Make sure the application and the master process use the same version of rollstarts.`
+                    );
+                    if (this.listenerCount('protocol-mismatch'))
+                        this.emit('protocol-mismatch', error, new_process, worker.id);
+                    else process.emitWarning(error);
+                });
+                if (!message) return;
+
                 // Handle incoming messages from the recurring process
-                const message = raw.toString();
-                switch (message) {
-                    // Handle the should begin to serve message to initialize the new process
+                switch (message.type) {
+                    // Handle the ready to serve message to initialize the new process
                     case RS_CONSTANTS.IS_READY_TO_SERVE:
-                        // Kill the active process (if it exists)
-                        if (this.#active_process) this.#active_process.kill();
-
-                        // Store this recurring process as the active process
-                        this.#active_process = new_process;
-
-                        // Emit an 'active' event for the active process
-                        this.emit('active', new_process);
+                        become_ready();
+                        break;
 
-                        // Remove this process as the temporary process if the PID matches
-                        if (this.#temporary_process && this.#temporary_process.pid === new_process.pid)
-                            this.#temporary_process = null;
+                    // Handle the able to drain message to gracefully stop this process in the future
+                    case RS_CONSTANTS.IS_ABLE_TO_DRAIN:
+                        this.#drainable.add(new_process);
+                        break;
 
-                        // Instruct the active process to begin serving information
-                        try {
-                            new_process.send(RS_CONSTANTS.SHOULD_BEGIN_TO_SERVE);
-                        } catch (error) {}
+                    // Handle the able to handoff message to request the state of this process for its replacement
+                    case RS_CONSTANTS.IS_ABLE_TO_HANDOFF:
+                        this.#handoffs.add(new_process);
+                        break;
 
-                        // Resolve the promise if not already resolved
-                        if (this.#restart_promise) {
-                            this.#restart_promise = null;
-                            resolve();
-                        }
+                    // Handle the request handoff message by relaying the state of the process this process replaces
+                    case RS_CONSTANTS.REQUEST_HANDOFF:
+                        this.#handoff(worker, new_process);
                         break;
 
                     // Handle the request restart message to restart the application
-                    case RS_CONSTANTS.REQUEST_RESTART:
-                        // Trigger a restart
-                        this.restart();
+                    case RS_CONSTANTS.REQUEST_RESTART: {
+                        // Restart a sibling app of the supervisor if one is named, otherwise restart this application
+                        const { app } = message.data || {};
+                        const restart =
+                            app !== undefined && app !== this.#context.name
+                                ? this.#restart_app(app)
+                                : this.restart('child');
+                        restart.catch((error) => this.#report(error));
                         break;
+                    }
 
-                    // Handle the rest of the messages
-                    default:
-                        // Determine if this is a kill request
-                        if (message.startsWith(RS_CONSTANTS.REQUEST_EXIT)) {
-                            // Parse the kill signal if possible
-                            let stripped = message.replace(RS_CONSTANTS.REQUEST_EXIT, '');
-                            let signal = stripped ? (isNaN(+stripped) ? stripped : +stripped) : undefined; // Use string if not a number otherwise use number
+                    // Handle the request server message to hand the server handle to the process
+                    case RS_CONSTANTS.REQUEST_SERVER: {
+                        // Use the first server if no name is provided
+                        const { name } = message.data || {};
+                        const handle = name ? this.#servers.get(name) : this.#servers.values().next().value;
 
-                            // Disable auto recover
-                            this.#options.recover = false;
+                        // Send the server handle back under the same name, without a handle if there is no such server
+                        try {
+                            new_process.send(encode(RS_CONSTANTS.SERVER_HANDLE, { name }), handle);
+                        } catch (error) {}
+                        break;
+                    }
 
-                            // Kill the process
-                            new_process.kill();
+                    // Handle the request exit message to exit the whole application
+                    case RS_CONSTANTS.REQUEST_EXIT: {
+                        // Use the exit code if it is a number otherwise exit with 0
+                        const code = Number(message.data && message.data.code) || 0;
 
-                            // Exit the process
-                            process.exit(signal);
-                        }
+                        // Gracefully stop all the processes and then exit the process
+                        this.#exit_master(code);
+                        break;
+                    }
 
+                    // Handle the request status message by sending the status of the generation of this process
+                    case RS_CONSTANTS.REQUEST_STATUS:
+                        try {
+                            new_process.send(encode(RS_CONSTANTS.STATUS, this.#status(new_process)));
+                        } catch (error) {}
+                        break;
+
+                    // Handle the heartbeat message to know the process is still responsive
+                    case RS_CONSTANTS.HEARTBEAT:
+                        this.#heartbeats.set(new_process, Date.now());
+                        this.#unresponsive.delete(new_process);
+                        break;
+
+                    // Handle the application messages sent with the messaging API
+                    case RS_CONSTANTS.MESSAGE:
+                        this.emit('message', message.data, new_process, worker.id);
                         break;
                 }
             });
 
             // Listen for the 'exit' event from the recurring process
-            new_process.once('exit', (code) => {
+            new_process.once('exit', (code, signal) => {
                 // Remove all message listeners from the recurring process
                 new_process.removeAllListeners('message');
+                this.#cancels.delete(new_process);
+                clearTimeout(startup_timeout);
+                clearTimeout(stable_timeout);
+                if (stop_readiness) stop_readiness();
+                if (stop_liveness) stop_liveness();
+                this.#stats_sampler.forget(new_process.pid);
+                this.#limits_sampler.forget(new_process.pid);
+                this.#inspector_ports.delete(new_process);
+                if (this.#children.delete(new_process)) this.#write_pid_file();
+
+                // Count the exit as a crash if this process was still in use and the manager did not stop it
+                const in_use = worker.active === new_process || worker.temporary === new_process;
+                if (in_use && !timed_out && !this.#destroy_promise) this.#metrics.crash();
 
-                // Determine the last active PID
-                const last_active_pid = this.#active_process?.pid || this.#temporary_process?.pid;
+                // Roll back to the old process if this process exits during its canary window
+                if (worker.canary && worker.canary.child === new_process) {
+                    const error = new Error(
+                        `RollStartsManager: Child Process ${new_process.pid} Exited With Code ${code} During Its Canary Window`
+                    );
+                    error.exit_code = code;
+                    this.#rollback(worker, error);
+                }
+
+                // Forget the old process if it exits while it is suspended during a canary window
+                if (worker.canary && worker.canary.standby === new_process) worker.canary.standby = null;
+
+                // Remember this process as the last process of this worker which exited
+                exit.exit_code = code;
+                exit.signal = signal;
+                worker.exited = exit;
+
+                // Determine the last active PID of this worker
+                const last_active_pid = worker.active?.pid || worker.temporary?.pid;
 
                 // Remove this process as the active process if the PID matches
-                if (this.#active_process && this.#active_process.pid === new_process.pid) this.#active_process = null;
+                if (worker.active && worker.active.pid === new_process.pid) worker.active = null;
 
                 // Remove this process as the temporary process if the PID matches
-                if (this.#temporary_process && this.#temporary_process.pid === new_process.pid)
-                    this.#temporary_process = null;
+                if (worker.temporary && worker.temporary.pid === new_process.pid) worker.temporary = null;
 
                 // Emit an 'exit' event for the exited process
-                this.emit('exit', new_process, code);
+                this.emit('exit', new_process, code, worker.id);
 
                 // If the restart promise is still pending, then reject it with the exit code
-                if (this.#restart_promise) {
-                    // Clear the restart promise
-                    this.#restart_promise = null;
-                    reject(new Error(`RollStartsManager: Child Process ${new_process.pid} Exited With Code ${code}`));
+                if (!settled) {
+                    const error = new Error(
+                        `RollStartsManager: Child Process ${new_process.pid} Exited With Code ${code}`
+                    );
+                    error.exit_code = code;
+                    settle(error);
                 }
 
-                // If auto recover is enabled, then attempt to restart the application to recover it
-                const should_recover = this.#options.recover !== undefined ? this.#options.recover : true;
-                if (should_recover && last_active_pid === new_process.pid) {
-                    // Determine if we have more attempts remaining
-                    if (this.#recover_attempts > 0) {
-                        this.#recover_attempts--;
-                        this.restart();
-                    }
+                // Apply the exit policy if this process was still in use and the manager did not stop it
+                if (last_active_pid === new_process.pid && !this.#destroy_promise) this.#on_exit(worker, code, signal);
+            });
 
-                    // Emit 'recover' event with the number of remaining attempts
-                    this.emit('recover', this.#recover_attempts);
+            // Store this as the temporary process of the worker while it is starting up
+            worker.temporary = new_process;
+        });
+    }
+
+    /**
+     * Begins the canary window of a new process during which the old process is suspended rather than stopped.
+     * @param {RollStartsWorker} worker
+     * @param {child_process.ChildProcess} child The new process.
+     * @param {child_process.ChildProcess} standby The old process.
+     * @param {function(Error=):void} settle
+     */
+    #begin_canary(worker, child, standby, settle) {
+        const { canary_ms, canary_check, canary_check_interval_ms = 1000 } = this.#options;
+
+        // Accept the previous canary of this worker as it is being replaced before its window ended
+        if (worker.canary) this.#end_canary(worker);
+
+        // Suspend the old process so it stops serving while it remains available for a rollback
+        try {
+            standby.send(encode(RS_CONSTANTS.SHOULD_SUSPEND_SERVING));
+        } catch (error) {}
+
+        // Accept the new process once the window passes
+        const timeout = setTimeout(() => this.#end_canary(worker), canary_ms);
+
+        // Periodically check the health of the new process during the window
+        let interval = null;
+        if (canary_check)
+            interval = setInterval(async () => {
+                let healthy;
+                try {
+                    healthy = await canary_check(child, worker.id);
+                } catch (error) {
+                    healthy = false;
                 }
-            });
 
-            // Store this as the temporary process while it is starting up
-            this.#temporary_process = new_process;
+                // Roll back if the check failed while this canary is still in progress
+                if (healthy === false && worker.canary && worker.canary.child === child) {
+                    this.#rollback(
+                        worker,
+                        new Error(`RollStartsManager: Child Process ${child.pid} Failed Its Canary Check`)
+                    );
+                    this.#terminate(child);
+                }
+            }, canary_check_interval_ms);
+
+        worker.canary = { child, standby, timeout, interval, settle };
+    }
+
+    /**
+     * Accepts the new process of a canary window by stopping the old process and remembering its configuration as known good.
+     * @param {RollStartsWorker} worker
+     */
+    #end_canary(worker) {
+        const { child, standby, timeout, interval, settle } = worker.canary;
+        clearTimeout(timeout);
+        clearInterval(interval);
+        worker.canary = null;
+
+        // Stop the old process and remember the configuration of the new process
+        if (standby) this.#terminate(standby);
+        this.#known_good = this.#configs.get(child);
+        settle();
+    }
+
+    /**
+     * Rolls back the new process of a canary window by bringing the old process back as the active process.
+     * Later recoveries use the last known good configuration until the next explicit restart.
+     * @param {RollStartsWorker} worker
+     * @param {Error} error The reason for the rollback which the restart is rejected with.
+     */
+    #rollback(worker, error) {
+        const { child, standby, timeout, interval, settle } = worker.canary;
+        clearTimeout(timeout);
+        clearInterval(interval);
+        worker.canary = null;
+
+        // Pin the last known good configuration for later recoveries
+        this.#pinned = this.#known_good || this.#configs.get(standby || child);
+
+        // Bring the old process back as the active process if it is still running
+        if (standby) {
+            worker.active = standby;
+            try {
+                standby.send(encode(RS_CONSTANTS.SHOULD_RESUME_SERVING));
+            } catch (error) {}
+            this.emit('active', standby, worker.id);
+            this.emit('rollback', standby, child, worker.id);
+        }
+
+        settle(error);
+    }
+
+    /**
+     * Periodically evaluates the liveness check against an active process and stops it once it fails too many times in a row.
+     * The exit of the stopped process is then recovered like a crash.
+     * @param {RollStartsWorker} worker
+     * @param {child_process.ChildProcess} child
+     * @returns {function():void} A function which stops the checks.
+     */
+    #watch_liveness(worker, child) {
+        const { liveness } = this.#options;
+        const { interval_ms = 5000, failure_threshold = 3 } = liveness;
+
+        let failures = 0;
+        let probing = false;
+        const interval = setInterval(async () => {
+            // Skip the check while a previous check is still in progress
+            if (probing) return;
+            probing = true;
+            try {
+                await probe(liveness, child, worker.id);
+                failures = 0;
+            } catch (error) {
+                // Stop the process once it has failed the check too many times in a row while it is still active
+                if (++failures >= failure_threshold && worker.active === child) {
+                    clearInterval(interval);
+                    this.emit('liveness-failed', child, worker.id, error);
+                    this.#terminate(child);
+                }
+            } finally {
+                probing = false;
+            }
+        }, interval_ms);
+
+        return () => clearInterval(interval);
+    }
+
+    /**
+     * Relays the state of the active process of a worker to the new process which replaces it.
+     * The new process receives `undefined` if there is no old process able to hand off or the handoff fails.
+     * @param {RollStartsWorker} worker
+     * @param {child_process.ChildProcess} child The new process.
+     */
+    async #handoff(worker, child) {
+        const { handoff_timeout_ms = HANDOFF_DEFAULT_TIMEOUT_MS, handoff_max_bytes = HANDOFF_DEFAULT_MAX_BYTES } =
+            this.#options;
+
+        // Request the state of the old process if it has registered a serializer
+        let state;
+        const source = worker.active !== child ? worker.active : null;
+        if (source && this.#handoffs.has(source) && source.connected) {
+            try {
+                state = await this.#request_state(source, handoff_timeout_ms);
+
+                // Drop the state if it exceeds the size limit
+                const bytes = Buffer.byteLength(JSON.stringify(state) || '');
+                if (bytes > handoff_max_bytes)
+                    throw new Error(
+                        `RollStartsManager: Child Process ${source.pid} Handed Off ${bytes} Bytes Which Exceeds The Limit Of ${handoff_max_bytes} Bytes`
+                    );
+            } catch (error) {
+                state = undefined;
+                this.emit('handoff-failed', error, source, worker.id);
+            }
+        }
+
+        // Relay the state to the new process
+        try {
+            child.send(encode(RS_CONSTANTS.INHERITED_STATE, { state }));
+        } catch (error) {}
+    }
+
+    /**
+     * Asks a child process to serialize its state and resolves with the state once it is received.
+     * @param {child_process.ChildProcess} child
+     * @param {number} timeout_ms
+     * @returns {Promise<any>}
+     */
+    #request_state(child, timeout_ms) {
+        return new Promise((resolve, reject) => {
+            // Stop waiting once the state is received, the process exits or the timeout passes
+            const cleanup = () => {
+                clearTimeout(timeout);
+                child.removeListener('message', listener);
+                child.removeListener('exit', on_exit);
+            };
+            const timeout = setTimeout(() => {
+                cleanup();
+                reject(
+                    new Error(
+                        `RollStartsManager: Child Process ${child.pid} Did Not Hand Off Its State Within ${timeout_ms}ms`
+                    )
+                );
+            }, timeout_ms);
+            const on_exit = () => {
+                cleanup();
+                reject(new Error(`RollStartsManager: Child Process ${child.pid} Exited Before Handing Off Its State`));
+            };
+            const listener = (raw) => {
+                const message = decode(raw);
+                if (!message || message.type !== RS_CONSTANTS.HANDOFF_STATE) return;
+                cleanup();
+                if (message.data.error !== undefined)
+                    reject(
+                        new Error(
+                            `RollStartsManager: Child Process ${child.pid} Failed To Hand Off Its State: ${message.data.error}`
+                        )
+                    );
+                else resolve(message.data.state);
+            };
+
+            child.on('message', listener);
+            child.once('exit', on_exit);
+            try {
+                child.send(encode(RS_CONSTANTS.SHOULD_HANDOFF));
+            } catch (error) {
+                cleanup();
+                reject(error);
+            }
         });
+    }
 
-        // Return the promise
-        return this.#restart_promise;
+    /**
+     * Applies the exit policy to a worker whose process exited while it was in use.
+     * The policy is looked up by the exit code and then by the signal, otherwise the worker is recovered if `recover` is enabled.
+     * @param {RollStartsWorker} worker
+     * @param {number|null} code
+     * @param {string|null} signal
+     */
+    #on_exit(worker, code, signal) {
+        const { on_exit = {}, recover = true } = this.#options;
+        const policy = on_exit[code] || on_exit[signal] || (recover ? 'recover' : 'ignore');
+        const { action, delay_ms = RESTART_DEFAULT_DELAY_MS } =
+            typeof policy === 'string' ? { action: policy } : policy;
+
+        switch (action) {
+            case 'recover':
+                // Emit a 'crash-loop' event once the recovery is refused as this worker has run out of attempts
+                if (worker.attempts === 0) {
+                    this.emit('crash-loop', worker.id, code);
+                    break;
+                }
+
+                // Consume an attempt and emit 'recover' event with the number of remaining attempts
+                worker.attempts--;
+                this.#recover(worker);
+                this.emit('recover', worker.attempts, worker.id);
+                break;
+
+            case 'restart-after-delay':
+                // Restart the worker after a fixed delay without consuming its recovery attempts
+                this.#recover(worker, delay_ms);
+                break;
+
+            case 'exit-master':
+                // Propagate the exit code or the conventional exit code of the signal to the master process
+                this.#exit_master(code !== null ? code : 128 + (os.constants.signals[signal] || 0));
+                break;
+        }
     }
 
+    /**
+     * Recovers a worker by spawning a new process after an exponential backoff delay.
+     * @param {RollStartsWorker} worker
+     * @param {number} [delay_ms] A fixed delay in milliseconds to use instead of the backoff delay.
+     */
+    #recover(worker, delay_ms) {
+        const {
+            recover_backoff_ms = 100,
+            recover_backoff_max_ms = 30000,
+            recover_backoff_factor = 2,
+            recover_backoff_jitter = 0.2,
+        } = this.#options;
+
+        // Grow the delay with each attempt consumed within the current crash loop
+        if (delay_ms === undefined) {
+            const consumed = this.#recover_attempts - worker.attempts - 1;
+            const delay = Math.min(
+                recover_backoff_ms * Math.pow(recover_backoff_factor, consumed),
+                recover_backoff_max_ms
+            );
+            delay_ms = delay + delay * recover_backoff_jitter * (Math.random() * 2 - 1);
+        }
+
+        // Spawn a new process for the worker once the delay has passed
+        clearTimeout(worker.recover_timeout);
+        worker.recover_timeout = setTimeout(() => {
+            worker.recover_timeout = null;
+
+            // Skip the recovery if the manager was destroyed or the worker was started by a restart in the meantime
+            if (this.#destroy_promise || worker.active || worker.temporary) return;
+
+            // Failures are handled by the recovery of the new process
+            this.#restart_worker(worker, false, 'recover').catch(() => {});
+        }, Math.max(0, delay_ms));
+    }
+
+    /**
+     * Gracefully stops every process and then exits the master process with an exit code.
+     * Note! A supervised application stops all the apps of its supervisor so none of their processes are left behind.
+     * @param {number} code
+     */
+    #exit_master(code) {
+        const destroyed = this.#context.destroy ? this.#context.destroy() : this.destroy();
+        destroyed.then(() => process.exit(code));
+    }
+
+    /**
+     * Restarts a sibling app of the supervisor which runs this application.
+     * @param {string} name
+     * @returns {Promise<void>}
+     */
+    #restart_app(name) {
+        if (this.#context.restart_app) return this.#context.restart_app(name);
+        return Promise.reject(
+            new Error(`RollStartsManager: Unable To Restart The App "${name}" As This Application Is Not Supervised`)
+        );
+    }
+
+    #destroy_promise;
     /**
      * Destroys the manager and all associated resources including active application processes.
+     * The processes are stopped gracefully and the returned promise resolves once all of them have exited.
+     * @returns {Promise<void>}
      */
     destroy() {
-        // Destroy the watcher if it exists
+        // If the manager is already being destroyed, return the promise
+        if (this.#destroy_promise) return this.#destroy_promise;
+
+        // Destroy the watchers, control endpoint and metrics listener if they exist
         if (this.#watcher) this.#watcher.close();
+        if (this.#unwatch_release) this.#unwatch_release();
+        if (this.#control) this.#control.close();
+        if (this.#metrics_server) {
+            this.#metrics_server.close();
 
-        // Destroy the active process if it exists
-        if (this.#active_process) this.#active_process.kill();
+            // Close the keep-alive connections of scrapers which would otherwise hold the listener open on Node.js 18.2 and later
+            if (this.#metrics_server.closeAllConnections) this.#metrics_server.closeAllConnections();
+        }
 
-        // Destroy the temporary process if it exists
-        if (this.#temporary_process) this.#temporary_process.kill();
+        // Drop the follow-up restart as the manager is being destroyed
+        if (this.#queued) {
+            this.#queued.reject(this.#cancellation());
+            this.#queued = null;
+        }
 
         // Disable auto recover and watching
         this.#options.watch = false;
         this.#options.recover = false;
+
+        // Stop the scheduled restarts, the resource usage checks and the heartbeats
+        clearTimeout(this.#schedule_timeout);
+        clearInterval(this.#resource_interval);
+        clearInterval(this.#heartbeat_interval);
+
+        // Gracefully stop the active and temporary processes of every worker
+        const processes = [];
+        for (const worker of this.#workers) {
+            const { active, temporary, recover_timeout, canary } = worker;
+            clearTimeout(recover_timeout);
+
+            // Stop the suspended old process of a canary window
+            if (canary) {
+                clearTimeout(canary.timeout);
+                clearInterval(canary.interval);
+                worker.canary = null;
+                if (canary.standby) processes.push(canary.standby);
+            }
+
+            if (active) processes.push(active);
+            if (temporary) processes.push(temporary);
+        }
+        // Also wait for the old processes which are still draining from a previous restart
+        processes.forEach((child) => this.#terminate(child));
+        this.#destroy_promise = Promise.all(this.#terminations.values()).then(() => {
+            // Close the servers and remove the signal handlers once all the processes have exited
+            close_servers(this.#servers);
+            if (this.#logger && !this.#context.logger) this.#logger.close();
+            if (this.#remove_signals) this.#remove_signals();
+            if (this.#pid_file) remove_pid_file(this.#pid_file);
+        });
+
+        // Return the promise
+        return this.#destroy_promise;
+    }
+
+    /**
+     * Sends an application message to the active process of every worker.
+     * Note! Child processes receive these messages with `RollStarts.on('message', handler)`.
+     * @param {any} message The message which must be serializable over the IPC channel.
+     */
+    broadcast(message) {
+        for (const { active } of this.#workers) if (active) this.#deliver(active, message);
+    }
+
+    /**
+     * Sends an application message to the active or temporary process with the provided PID.
+     * Note! Child processes receive these messages with `RollStarts.on('message', handler)`.
+     * @param {number} pid The PID of the process.
+     * @param {any} message The message which must be serializable over the IPC channel.
+     * @returns {boolean} Whether there is such a process and the message was sent to it.
+     */
+    send(pid, message) {
+        for (const { active, temporary } of this.#workers)
+            for (const child of [active, temporary])
+                if (child && child.pid === pid) return this.#deliver(child, message);
+        return false;
+    }
+
+    /**
+     * Safely sends an application message to a child process.
+     * @param {child_process.ChildProcess} child
+     * @param {any} message
+     * @returns {boolean}
+     */
+    #deliver(child, message) {
+        if (!child.connected) return false;
+        try {
+            return child.send(encode(RS_CONSTANTS.MESSAGE, message));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Returns the status of the generation of a child process which it queries with `status()`.
+     * @param {child_process.ChildProcess} child
+     * @returns {RollStartsStatus}
+     */
+    #status(child) {
+        const { generation, reason, previous } = this.#spawned.get(child);
+        return {
+            generation,
+            reason,
+            restarts: this.#metrics.counters.restarts.total,
+            previous: previous && { ...previous },
+            in_flight: this.in_flight,
+        };
+    }
+
+    /**
+     * Returns the metrics of this manager along with the uptime and resource usage of the active process of each worker.
+     * @returns {Promise<import('./metrics.js').RollStartsStats>}
+     */
+    async stats() {
+        // Sample the resource usage of the active processes
+        const usage = await this.#stats_sampler.sample(this.#active_processes());
+
+        return {
+            pid: process.pid,
+            uptime_ms: Math.round(process.uptime() * 1000),
+            generation: this.#generation,
+            in_flight: this.in_flight,
+            ...this.#metrics.counters,
+            workers: this.#workers.map(({ id, active }) => {
+                const { generation = null, spawned_at } = (active && this.#spawned.get(active)) || {};
+                const { rss_bytes = null, cpu_percent = null } = (active && usage.get(active.pid)) || {};
+                return {
+                    id,
+                    pid: active ? active.pid : null,
+                    generation,
+                    uptime_ms: active ? Date.now() - spawned_at : null,
+                    rss_bytes,
+                    cpu_percent,
+                };
+            }),
+        };
+    }
+
+    /**
+     * Returns the releases which have been deployed and are remembered for `rollback()` with the current release last.
+     * @returns {Array<import('./releases.js').RollStartsRelease & {deployed_at: number}>}
+     */
+    get releases() {
+        return this.#releases.map((release) => ({ ...release }));
     }
 
     /**
      * Returns `true` if there is currently a rolling restart in flight.
      */
     get in_flight() {
-        return this.#temporary_process !== null;
+        return this.#workers.some(({ temporary, canary }) => temporary !== null || canary !== null);
     }
 
     /**
      * Returns the active child process which is running the root Javascript file or null if there is no active process at the moment.
+     * Note! When running multiple instances, this is the active process of the first worker.
      * @returns {import('child_process').ChildProcess|null}
      */
     get active() {
-        return this.#active_process;
+        return this.#workers[0].active;
+    }
+
+    /**
+     * Returns the active child process of every worker indexed by the worker id.
+     * A worker which has no active process at the moment is represented by `null`.
+     * @returns {Array<import('child_process').ChildProcess|null>}
+     */
+    get workers() {
+        return this.#workers.map(({ active }) => active);
     }
 }
 
 module.exports = {
+    validate_options,
     RollStartsManager,
 };
@@ -0,0 +1,298 @@
+const os = require('os');
+const fs = require('fs');
+const http = require('http');
+const child_process = require('child_process');
+
+// The number of clock ticks per second used by /proc which is 100 on every mainstream Linux architecture
+const CLOCK_TICKS = 100;
+
+/**
+ * @typedef {Object} RollStartsMetricsOptions
+ * @property {number} [port=9464] The TCP port of the local HTTP listener.
+ * @property {string} [host='127.0.0.1'] The address of the local HTTP listener.
+ */
+
+/**
+ * @typedef {Object} RollStartsWorkerStats
+ * @property {number} id The id of the worker.
+ * @property {number|null} pid The PID of the active process of the worker (if any).
+ * @property {number|null} generation The generation of the active process.
+ * @property {number|null} uptime_ms The time in milliseconds since the active process was spawned.
+ * @property {number|null} rss_bytes The resident set size of the active process. This is `null` where it cannot be sampled.
+ * @property {number|null} cpu_percent The CPU usage of the active process since the previous stats were read or since it was spawned. This is `null` where it cannot be sampled.
+ */
+
+/**
+ * @typedef {Object} RollStartsStats
+ * @property {number} pid The PID of the master process.
+ * @property {number} uptime_ms The uptime of the master process in milliseconds.
+ * @property {number} generation The number of rolling restarts which have been started.
+ * @property {boolean} in_flight Whether a rolling restart is currently in flight.
+ * @property {{total: number, by_reason: Object<string, number>}} restarts The number of rolling restarts by their reason.
+ * @property {{count: number, sum_ms: number, last_ms: number|null, avg_ms: number|null, max_ms: number|null}} restart_duration The time from spawning a process to it becoming ready.
+ * @property {number} crashes The number of processes which exited without being stopped by the manager.
+ * @property {RollStartsWorkerStats[]} workers The stats of the active process of each worker.
+ */
+
+// Tracks the counters of a manager and samples the resource usage of its child processes
+class RollStartsMetrics {
+    #restarts = new Map(); // The number of restarts by their reason
+    #durations = { count: 0, sum_ms: 0, last_ms: null, max_ms: null }; // The startup durations of the spawned processes
+    #crashes = 0; // The number of processes which exited unexpectedly
+
+    /**
+     * Records a rolling restart which has been started.
+     * @param {string} reason
+     */
+    restart(reason) {
+        this.#restarts.set(reason, (this.#restarts.get(reason) || 0) + 1);
+    }
+
+    /**
+     * Records the time a process took from being spawned to becoming ready.
+     * @param {number} duration_ms
+     */
+    startup(duration_ms) {
+        const durations = this.#durations;
+        durations.count++;
+        durations.sum_ms += duration_ms;
+        durations.last_ms = duration_ms;
+        durations.max_ms = Math.max(durations.max_ms || 0, duration_ms);
+    }
+
+    /**
+     * Records a process which exited unexpectedly.
+     */
+    crash() {
+        this.#crashes++;
+    }
+
+    /**
+     * Returns the counters which have been recorded so far.
+     */
+    get counters() {
+        const by_reason = Object.fromEntries(this.#restarts);
+        const { count, sum_ms, last_ms, max_ms } = this.#durations;
+        return {
+            restarts: { total: Object.values(by_reason).reduce((sum, value) => sum + value, 0), by_reason },
+            restart_duration: { count, sum_ms, last_ms, avg_ms: count ? sum_ms / count : null, max_ms },
+            crashes: this.#crashes,
+        };
+    }
+}
+
+// Samples the resource usage of child processes where the CPU usage is measured since the previous sample of this sampler
+// Each consumer has its own sampler so sampling for one does not shorten the window measured by another
+class RollStartsSampler {
+    #cpu = new Map(); // The previous CPU sample of each process by its PID
+
+    /**
+     * Forgets the previous CPU sample of a process which has exited.
+     * @param {number} pid
+     */
+    forget(pid) {
+        this.#cpu.delete(pid);
+    }
+
+    /**
+     * Samples the resident set size and CPU usage of processes.
+     * Linux reads /proc, other Unix platforms use `ps` and Windows is not supported.
+     * @param {Array<{pid: number, spawned_at: number}>} processes
+     * @returns {Promise<Map<number, {rss_bytes: number|null, cpu_percent: number|null}>>}
+     */
+    async sample(processes) {
+        const usage = new Map();
+        if (!processes.length || os.platform() === 'win32') return usage;
+
+        if (os.platform() === 'linux') {
+            await Promise.all(
+                processes.map(async ({ pid, spawned_at }) => {
+                    try {
+                        usage.set(pid, await this.#sample_proc(pid, spawned_at));
+                    } catch (error) {}
+                })
+            );
+            return usage;
+        }
+
+        // Read the usage of all the processes with a single call to ps
+        // The cumulative CPU time is read rather than the CPU percentage which ps averages over the lifetime of the process
+        const output = await new Promise((resolve) =>
+            child_process.execFile(
+                'ps',
+                ['-o', 'pid=,rss=,time=', '-p', processes.map(({ pid }) => pid).join(',')],
+                (error, stdout) => resolve(stdout || '')
+            )
+        );
+        const spawned = new Map(processes.map(({ pid, spawned_at }) => [pid, spawned_at]));
+        for (const line of output.split('\n')) {
+            const [pid, rss, time] = line.trim().split(/\s+/);
+            if (!spawned.has(+pid)) continue;
+            usage.set(+pid, {
+                rss_bytes: +rss * 1024,
+                cpu_percent: this.#measure(+pid, spawned.get(+pid), parse_cpu_time(time)),
+            });
+        }
+        return usage;
+    }
+
+    /**
+     * Samples the usage of a process from /proc on Linux.
+     * @param {number} pid
+     * @param {number} spawned_at
+     */
+    async #sample_proc(pid, spawned_at) {
+        const [stat, status] = await Promise.all([
+            fs.promises.readFile(`/proc/${pid}/stat`, 'utf8'),
+            fs.promises.readFile(`/proc/${pid}/status`, 'utf8'),
+        ]);
+
+        // The fields after the command name start with the state, so utime and stime are the 12th and 13th
+        const fields = stat.slice(stat.lastIndexOf(')') + 2).split(' ');
+        const cpu_ms = ((+fields[11] + +fields[12]) / CLOCK_TICKS) * 1000;
+        const rss = /^VmRSS:\s+(\d+)\s+kB/m.exec(status);
+        return {
+            rss_bytes: rss ? +rss[1] * 1024 : null,
+            cpu_percent: this.#measure(pid, spawned_at, cpu_ms),
+        };
+    }
+
+    /**
+     * Returns the CPU usage of a process since the previous sample or since the process was spawned for the first sample.
+     * @param {number} pid
+     * @param {number} spawned_at
+     * @param {number} cpu_ms The total CPU time which the process has used.
+     * @returns {number}
+     */
+    #measure(pid, spawned_at, cpu_ms) {
+        const now = Date.now();
+        const previous = this.#cpu.get(pid) || { cpu_ms: 0, time: spawned_at };
+        this.#cpu.set(pid, { cpu_ms, time: now });
+        const elapsed = now - previous.time;
+        return elapsed > 0 ? Math.round(((cpu_ms - previous.cpu_ms) / elapsed) * 10000) / 100 : 0;
+    }
+}
+
+/**
+ * Parses the cumulative CPU time printed by ps as `[[dd-]hh:]mm:ss[.cc]` into milliseconds.
+ * @param {string} time
+ * @returns {number}
+ */
+function parse_cpu_time(time) {
+    const [days, clock] = time.includes('-') ? time.split('-') : [0, time];
+    const seconds = clock.split(':').reduce((total, part) => total * 60 + +part, 0);
+    return (+days * 86400 + seconds) * 1000;
+}
+
+/**
+ * Escapes a Prometheus label value.
+ * @param {any} value
+ * @returns {string}
+ */
+function escape_label(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+/**
+ * Formats the stats of a manager in the Prometheus text exposition format.
+ * @param {RollStartsStats} stats
+ * @returns {string}
+ */
+function format_prometheus(stats) {
+    const lines = [];
+    const metric = (name, type, help, samples) => {
+        lines.push(`# HELP ${name} ${help}`, `# TYPE ${name} ${type}`);
+        for (const [labels, value, suffix = ''] of samples) {
+            if (value === null || value === undefined) continue;
+            const pairs = Object.entries(labels).map(([key, label]) => `${key}="${escape_label(label)}"`);
+            lines.push(`${name}${suffix}${pairs.length ? `{${pairs.join(',')}}` : ''} ${value}`);
+        }
+    };
+
+    metric('rollstarts_generation', 'gauge', 'The number of rolling restarts which have been started.', [
+        [{}, stats.generation],
+    ]);
+    metric(
+        'rollstarts_restarts_total',
+        'counter',
+        'The number of rolling restarts by their reason.',
+        Object.entries(stats.restarts.by_reason).map(([reason, count]) => [{ reason }, count])
+    );
+    metric('rollstarts_restart_duration_seconds', 'summary', 'The time from spawning a process to it becoming ready.', [
+        [{}, stats.restart_duration.sum_ms / 1000, '_sum'],
+        [{}, stats.restart_duration.count, '_count'],
+    ]);
+    metric('rollstarts_crashes_total', 'counter', 'The number of processes which exited unexpectedly.', [
+        [{}, stats.crashes],
+    ]);
+
+    // Only report the workers which currently have an active process
+    const workers = stats.workers.filter(({ pid }) => pid !== null);
+    const labels = ({ id, pid, generation }) => ({ worker: id, pid, generation });
+    metric(
+        'rollstarts_child_uptime_seconds',
+        'gauge',
+        'The time since the active process of each worker was spawned.',
+        workers.map((worker) => [labels(worker), worker.uptime_ms / 1000])
+    );
+    metric(
+        'rollstarts_child_rss_bytes',
+        'gauge',
+        'The resident set size of the active process of each worker.',
+        workers.map((worker) => [labels(worker), worker.rss_bytes])
+    );
+    metric(
+        'rollstarts_child_cpu_percent',
+        'gauge',
+        'The CPU usage of the active process of each worker since the previous scrape.',
+        workers.map((worker) => [labels(worker), worker.cpu_percent])
+    );
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Opens the local HTTP listener which serves the stats of a manager.
+ * `GET /metrics` serves the Prometheus text format and `GET /status` serves JSON.
+ * @param {import('./manager.js').RollStartsManager} manager
+ * @param {RollStartsMetricsOptions} options
+ * @returns {http.Server}
+ */
+function open_metrics(manager, options) {
+    const { port = 9464, host = '127.0.0.1' } = options;
+    const server = http.createServer((request, response) => {
+        const route = request.url.split('?')[0];
+        if (request.method !== 'GET' || (route !== '/metrics' && route !== '/status')) {
+            response.writeHead(404, { 'content-type': 'text/plain' });
+            return response.end('Not Found\n');
+        }
+
+        manager.stats().then(
+            (stats) => {
+                if (route === '/status') {
+                    response.writeHead(200, { 'content-type': 'application/json' });
+                    response.end(JSON.stringify(stats, null, 2) + '\n');
+                } else {
+                    response.writeHead(200, { 'content-type': 'text/plain; version=0.0.4' });
+                    response.end(format_prometheus(stats));
+                }
+            },
+            (error) => {
+                response.writeHead(500, { 'content-type': 'text/plain' });
+                response.end(`${error.message}\n`);
+            }
+        );
+    });
+
+    server.on('error', (error) => manager.emit('error', error));
+    server.listen(port, host);
+    return server;
+}
+
+module.exports = {
+    RollStartsMetrics,
+    RollStartsSampler,
+    parse_cpu_time,
+    format_prometheus,
+    open_metrics,
+};
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const child_process = require('child_process');
+const { RS_CONSTANTS } = require('./constants.js');
+
+// The interval at which stale child processes are checked for having exited
+const STALE_POLL_INTERVAL_MS = 100;
+
+/**
+ * Returns the default path of the PID file for a working directory.
+ * Each app of a supervisor has its own PID file so the apps do not overwrite each other.
+ * @param {string} [cwd=process.cwd()]
+ * @param {string} [name] The name of the app when it is run by a supervisor.
+ * @returns {string}
+ */
+function default_pid_path(cwd = process.cwd(), name) {
+    return path.join(path.resolve(cwd), name === undefined ? '.rollstarts.pid' : `.rollstarts.${name}.pid`);
+}
+
+/**
+ * Returns `true` if a process with the PID is running.
+ * Note! A process which exists but belongs to another user is also considered to be running.
+ * @param {number} pid
+ * @returns {boolean}
+ */
+function is_running(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+/**
+ * Resolves with `true` if the process with the PID was spawned by the master process with the given PID.
+ * This is determined by the environment of the process which is read from /proc on Linux and from `ps` on other Unix platforms.
+ * Note! A process whose environment cannot be read, such as one of another user or any process on Windows, is never considered owned.
+ * @param {number} pid
+ * @param {number} master_pid
+ * @returns {Promise<boolean>}
+ */
+async function is_owned(pid, master_pid) {
+    const entry = `${RS_CONSTANTS.MASTER_PID}=${master_pid}`;
+    if (os.platform() === 'win32') return false;
+
+    if (os.platform() === 'linux') {
+        try {
+            return (await fs.promises.readFile(`/proc/${pid}/environ`, 'utf8')).split('\0').includes(entry);
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // The environment is appended to the command of the process by ps
+    const output = await new Promise((resolve) =>
+        child_process.execFile('ps', ['eww', '-o', 'command=', '-p', pid.toString()], (error, stdout) =>
+            resolve(stdout || '')
+        )
+    );
+    return output.split(/\s+/).includes(entry);
+}
+
+/**
+ * Writes the PID of the master process and its child processes to the PID file.
+ * @param {string} file
+ * @param {number[]} children
+ */
+function write_pid_file(file, children) {
+    fs.writeFileSync(file, JSON.stringify({ pid: process.pid, children }) + '\n');
+}
+
+/**
+ * Removes the PID file if it still belongs to this master process.
+ * @param {string} file
+ */
+function remove_pid_file(file) {
+    try {
+        if (JSON.parse(fs.readFileSync(file, 'utf8')).pid === process.pid) fs.unlinkSync(file);
+    } catch (error) {}
+}
+
+/**
+ * Stops the child processes left behind by a previous master process which did not exit cleanly and removes its PID file.
+ * The child processes are sent a SIGTERM and then a SIGKILL if they have not exited within the kill timeout.
+ * A PID which has since been reused by a process that was not spawned by the previous master process is left alone.
+ * Note! This throws if the master process of the PID file is still running as the PID file then acts as a lock.
+ * @param {string} file
+ * @param {number} kill_timeout_ms
+ * @returns {Promise<number[]>} The PIDs of the stale child processes which were stopped.
+ */
+async function clean_stale(file, kill_timeout_ms) {
+    // Read the PID file of the previous master process if there is one
+    let previous;
+    try {
+        previous = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw new Error(`RollStarts: Unable to read the PID file at "${file}". ${error.message}`, { cause: error });
+    }
+
+    // Ensure the previous master process is no longer running
+    if (previous.pid !== process.pid && is_running(previous.pid))
+        throw new Error(
+            `RollStarts: Another master process with PID ${previous.pid} is already running with the PID file at "${file}". Please stop it or remove the PID file if it is stale.`
+        );
+
+    // Find the child processes which are still running and were spawned by the previous master process
+    const stale = [];
+    for (const pid of previous.children || [])
+        if (is_running(pid) && (await is_owned(pid, previous.pid))) stale.push(pid);
+
+    // Ask the stale child processes to stop and escalate to a SIGKILL once the kill timeout has passed
+    const signal = (pids, name) =>
+        pids.forEach((pid) => {
+            try {
+                process.kill(pid, name);
+            } catch (error) {}
+        });
+    signal(stale, 'SIGTERM');
+    const deadline = Date.now() + kill_timeout_ms;
+    while (stale.some(is_running) && Date.now() < deadline)
+        await new Promise((resolve) => setTimeout(resolve, STALE_POLL_INTERVAL_MS));
+    signal(stale.filter(is_running), 'SIGKILL');
+
+    fs.rmSync(file, { force: true });
+    return stale;
+}
+
+module.exports = {
+    default_pid_path,
+    write_pid_file,
+    remove_pid_file,
+    clean_stale,
+};
@@ -0,0 +1,161 @@
+const fs = require('fs');
+const net = require('net');
+const http = require('http');
+const https = require('https');
+
+/**
+ * @typedef {Object} RollStartsCheck
+ * A check which the master process evaluates itself so children without an IPC channel or written in other languages can be supervised.
+ * The `port`, `url` and `path` must be functions which are called with the child process and its worker id, as a fixed target
+ * would be satisfied by the process being replaced while both run side by side during a rolling restart.
+ * @property {'port'|'http'|'stdout'|'file'|'delay'} type The strategy of the check.
+ * @property {function(import('child_process').ChildProcess, number):number} [port] The TCP port which must accept connections for a `port` check.
+ * @property {string} [host='127.0.0.1'] The host to connect to for a `port` check.
+ * @property {function(import('child_process').ChildProcess, number):string} [url] The URL which must respond with a 2xx status for an `http` check.
+ * @property {string|RegExp} [match] The pattern which a line written by the child process must match for a `stdout` check.
+ * @property {'stdout'|'stderr'} [stream='stdout'] The stream which is matched for a `stdout` check.
+ * @property {function(import('child_process').ChildProcess, number):string} [path] The file which must exist for a `file` check.
+ * @property {number} [ms] The time in milliseconds to wait for a `delay` check.
+ * @property {number} [interval_ms] The interval in milliseconds between attempts. Defaults to 250 for readiness and 5000 for liveness.
+ * @property {number} [timeout_ms=1000] The time in milliseconds a single `port` or `http` attempt is given.
+ * @property {number} [failure_threshold=3] The number of consecutive failed liveness checks after which the child process is restarted.
+ */
+
+// The checks which can be evaluated on demand and are therefore usable as liveness checks
+const PROBE_TYPES = ['port', 'http', 'file'];
+
+/**
+ * Validates a check and throws if it is misconfigured.
+ * @param {RollStartsCheck} check
+ * @param {'readiness'|'liveness'} kind
+ */
+function validate_check(check, kind) {
+    const type = check && check.type;
+    const required = { port: 'port', http: 'url', stdout: 'match', file: 'path', delay: 'ms' }[type];
+    if (!required)
+        throw new Error(
+            `RollStarts: The ${kind} check type "${type}" is unknown. Please use one of "port", "http", "stdout", "file" or "delay".`
+        );
+    if (kind === 'liveness' && !PROBE_TYPES.includes(check.type))
+        throw new Error(
+            `RollStarts: The "${check.type}" check cannot be used as a liveness check. Please use one of "port", "http" or "file".`
+        );
+    if (check[required] === undefined)
+        throw new Error(`RollStarts: The "${check.type}" ${kind} check requires the ${required} property.`);
+
+    // Ensure probes target each process individually as a fixed target would still be served by the process being replaced
+    if (PROBE_TYPES.includes(check.type) && typeof check[required] !== 'function')
+        throw new Error(
+            `RollStarts: The ${required} of a "${check.type}" ${kind} check must be a function of the child process and its worker id which returns a target unique to that process.`
+        );
+}
+
+/**
+ * Probes a child process once and resolves if the check passes or rejects with the reason it failed.
+ * Note! Only `port`, `http` and `file` checks can be probed.
+ * @param {RollStartsCheck} check
+ * @param {import('child_process').ChildProcess} child
+ * @param {number} worker
+ * @returns {Promise<void>}
+ */
+function probe(check, child, worker) {
+    const { host = '127.0.0.1', timeout_ms = 1000 } = check;
+    switch (check.type) {
+        case 'port':
+            return new Promise((resolve, reject) => {
+                const port = check.port(child, worker);
+                const socket = net.connect({ port, host });
+                socket.setTimeout(timeout_ms, () =>
+                    socket.destroy(new Error(`RollStarts: Connecting to ${host}:${port} timed out.`))
+                );
+                socket.once('connect', () => {
+                    socket.destroy();
+                    resolve();
+                });
+                socket.once('error', reject);
+            });
+        case 'http':
+            return new Promise((resolve, reject) => {
+                const url = check.url(child, worker);
+                const client = url.startsWith('https:') ? https : http;
+                const request = client.get(url, { timeout: timeout_ms }, (response) => {
+                    // Discard the body as only the status matters
+                    response.resume();
+                    const status = response.statusCode;
+                    if (status >= 200 && status < 300) return resolve();
+                    reject(new Error(`RollStarts: The health URL "${url}" responded with status ${status}.`));
+                });
+                request.once('timeout', () =>
+                    request.destroy(new Error(`RollStarts: The health URL "${url}" did not respond in time.`))
+                );
+                request.once('error', reject);
+            });
+        case 'file':
+            return fs.promises.access(check.path(child, worker));
+        default:
+            return Promise.reject(new Error(`RollStarts: The "${check.type}" check cannot be probed.`));
+    }
+}
+
+/**
+ * Waits for a child process to become ready according to a check and calls the callback once it is.
+ * @param {RollStartsCheck} check
+ * @param {import('child_process').ChildProcess} child
+ * @param {number} worker
+ * @param {function():void} on_ready
+ * @returns {function():void} A function which stops waiting.
+ */
+function wait_for_ready(check, child, worker, on_ready) {
+    let stopped = false;
+    let timeout = null;
+    let cleanup = () => {};
+    const stop = () => {
+        stopped = true;
+        clearTimeout(timeout);
+        cleanup();
+    };
+    const ready = () => {
+        if (stopped) return;
+        stop();
+        on_ready();
+    };
+
+    switch (check.type) {
+        case 'delay':
+            timeout = setTimeout(ready, check.ms);
+            break;
+        case 'stdout': {
+            // Match each complete line written to the stream against the pattern
+            const stream = child[check.stream || 'stdout'];
+            const pattern = check.match instanceof RegExp ? check.match : new RegExp(check.match);
+            let buffer = '';
+            const listener = (chunk) => {
+                buffer += chunk;
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+                if (lines.some((line) => pattern.test(line))) ready();
+            };
+            stream.setEncoding('utf8');
+            stream.on('data', listener);
+            cleanup = () => stream.removeListener('data', listener);
+            break;
+        }
+        default: {
+            // Probe the child process until the check passes
+            const { interval_ms = 250 } = check;
+            const attempt = () =>
+                probe(check, child, worker).then(ready, () => {
+                    if (!stopped) timeout = setTimeout(attempt, interval_ms);
+                });
+            attempt();
+        }
+    }
+
+    return stop;
+}
+
+module.exports = {
+    validate_check,
+    probe,
+    wait_for_ready,
+};
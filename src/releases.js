@@ -0,0 +1,66 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * @typedef {Object} RollStartsRelease
+ * @property {string} path The path to the root Javascript file of the release.
+ * @property {string} [cwd] The working directory of the child processes of the release.
+ * @property {string[]} [args] The arguments passed to the command. Defaults to the path of the release.
+ * @property {string} [command] The command used to start the release. Defaults to the current command.
+ */
+
+// The time to wait for the multiple events of an atomic re-point such as `ln -sfn` to settle
+const LINK_DEBOUNCE_MS = 100;
+
+/**
+ * Resolves the release directory and the root Javascript file of a release which is reached through a symlink.
+ * @param {string} link The absolute path of the symlink which points to the current release directory.
+ * @param {string} entry The path of the root Javascript file relative to the release directory.
+ * @returns {RollStartsRelease}
+ */
+function resolve_release(link, entry) {
+    const cwd = fs.realpathSync(link);
+    return { path: path.join(cwd, entry), cwd };
+}
+
+/**
+ * Watches a symlink to the current release directory and calls the callback with the release once it is re-pointed.
+ * Note! The parent directory is watched as re-pointing a symlink atomically replaces it rather than changing it.
+ * @param {string} link The absolute path of the symlink.
+ * @param {string} entry The path of the root Javascript file relative to the release directory.
+ * @param {function(RollStartsRelease):void} on_change
+ * @param {function(Error):void} on_error
+ * @returns {function():void} A function which stops watching the symlink.
+ */
+function watch_release_link(link, entry, on_change, on_error) {
+    let current = fs.realpathSync(link);
+    let timeout = null;
+
+    const watcher = fs.watch(path.dirname(link), (event, name) => {
+        if (name && name !== path.basename(link)) return;
+        clearTimeout(timeout);
+        timeout = setTimeout(() => {
+            // Ignore events which did not change the release directory such as a symlink which is briefly missing
+            let release;
+            try {
+                release = resolve_release(link, entry);
+            } catch (error) {
+                return;
+            }
+            if (release.cwd === current) return;
+            current = release.cwd;
+            on_change(release);
+        }, LINK_DEBOUNCE_MS);
+    });
+    watcher.on('error', on_error);
+
+    return () => {
+        clearTimeout(timeout);
+        watcher.close();
+    };
+}
+
+module.exports = {
+    resolve_release,
+    watch_release_link,
+};
@@ -0,0 +1,116 @@
+// The allowed range of each field of a cron expression in order
+const CRON_FIELDS = [
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day of month', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12 },
+    { name: 'day of week', min: 0, max: 7 },
+];
+
+// The number of years to search for the next match before the expression is considered to never match
+// Any eight consecutive years include a leap year so an expression for February 29 is still found
+const MAX_SEARCH_YEARS = 8;
+
+/**
+ * Parses a single field of a cron expression into the set of values it matches.
+ * Supports `*`, single values, `a-b` ranges, `/n` steps and comma separated lists.
+ * @param {string} field
+ * @param {{name: string, min: number, max: number}} range
+ * @param {string} expression The whole expression which is included in errors.
+ * @returns {Set<number>}
+ */
+function parse_field(field, { name, min, max }, expression) {
+    const values = new Set();
+    for (const part of field.split(',')) {
+        const invalid = () =>
+            new Error(
+                `RollStarts: The ${name} field "${part}" of the cron expression "${expression}" is invalid. Please use values between ${min} and ${max}.`
+            );
+
+        // Match a wildcard or a value with an optional range end followed by an optional step
+        const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+        if (!match) throw invalid();
+
+        // A single value with a step such as 5/15 runs from the value to the end of the range
+        let start = min;
+        let end = max;
+        if (match[1] !== '*') {
+            start = +match[2];
+            end = match[3] !== undefined ? +match[3] : match[4] !== undefined ? max : start;
+        }
+        const step = match[4] !== undefined ? +match[4] : 1;
+        if (start < min || end > max || start > end || step < 1) throw invalid();
+
+        for (let value = start; value <= end; value += step) values.add(value);
+    }
+    return values;
+}
+
+/**
+ * Parses a standard five field cron expression of `minute hour day-of-month month day-of-week` in local time.
+ * When both the day of month and the day of week are restricted, a day matching either of them matches like in cron.
+ * Note! This throws for an expression which never matches, such as `0 0 31 2 *`, so it is rejected before anything is started.
+ * @param {string} expression
+ * @returns {{next: function(Date):Date}} A schedule which returns the first matching minute after a date.
+ */
+function parse_cron(expression) {
+    const fields = String(expression).trim().split(/\s+/);
+    if (fields.length !== 5)
+        throw new Error(
+            `RollStarts: The cron expression "${expression}" must have five fields of minute, hour, day of month, month and day of week.`
+        );
+
+    const [minutes, hours, days, months, weekdays] = fields.map((field, index) =>
+        parse_field(field, CRON_FIELDS[index], expression)
+    );
+
+    // Sunday may be written as either 0 or 7
+    if (weekdays.has(7)) weekdays.add(0);
+    // A field which starts with an asterisk such as */2 is not a restriction which matches either like in cron
+    const any_day = fields[2].startsWith('*');
+    const any_weekday = fields[4].startsWith('*');
+    const matches_day = (date) => {
+        const day = days.has(date.getDate());
+        const weekday = weekdays.has(date.getDay());
+        if (any_day || any_weekday) return day && weekday;
+        return day || weekday;
+    };
+
+    const schedule = {
+        next(after) {
+            // Begin at the start of the minute following the date
+            const date = new Date(after.getTime());
+            date.setSeconds(0, 0);
+            date.setMinutes(date.getMinutes() + 1);
+
+            // Skip whole months, days and hours which do not match before checking each minute
+            const limit = new Date(date.getTime());
+            limit.setFullYear(limit.getFullYear() + MAX_SEARCH_YEARS);
+            while (date < limit) {
+                if (!months.has(date.getMonth() + 1)) {
+                    date.setMonth(date.getMonth() + 1, 1);
+                    date.setHours(0, 0);
+                } else if (!matches_day(date)) {
+                    date.setDate(date.getDate() + 1);
+                    date.setHours(0, 0);
+                } else if (!hours.has(date.getHours())) {
+                    date.setHours(date.getHours() + 1, 0);
+                } else if (!minutes.has(date.getMinutes())) {
+                    date.setMinutes(date.getMinutes() + 1);
+                } else {
+                    return date;
+                }
+            }
+
+            throw new Error(`RollStarts: The cron expression "${expression}" never matches any date.`);
+        },
+    };
+
+    // Ensure the expression matches a date at all as an impossible date is only noticed by searching for it
+    schedule.next(new Date());
+    return schedule;
+}
+
+module.exports = {
+    parse_cron,
+};
@@ -0,0 +1,84 @@
+const net = require('net');
+const util = require('util');
+
+/**
+ * @typedef {Object} RollStartsListenOptions
+ * @property {string} [name] The name used by child processes to retrieve this server. Defaults to the port or path.
+ * @property {number} [port] The TCP port to listen on.
+ * @property {string} [host] The IP address to listen on. Defaults to all addresses.
+ * @property {string} [path] The path of the Unix domain socket or Windows named pipe to listen on.
+ */
+
+/**
+ * Returns the name of a listening server which child processes use to retrieve its handle.
+ * @param {RollStartsListenOptions} options
+ * @returns {string}
+ */
+function server_name(options) {
+    return options.name !== undefined ? String(options.name) : options.path || String(options.port);
+}
+
+/**
+ * Opens a server handle for each of the listen options which is owned by the master process.
+ * The handles are bound but not listening, each child process begins listening on its own copy of the handle.
+ * Note! As the master process never closes its copy, connections are queued rather than refused while processes are being swapped.
+ * @param {RollStartsListenOptions[]} listen
+ * @returns {Map<string, Object>}
+ */
+function open_servers(listen = []) {
+    const servers = new Map();
+    for (const options of listen) {
+        // Ensure the options describe either a TCP port or a path
+        const name = server_name(options);
+        if (options.path === undefined && options.port === undefined)
+            throw new Error(`RollStarts: The listen server "${name}" must specify either a port or a path.`);
+
+        // Ensure the host is an IP address as hostnames are not resolved
+        const address_type = options.host ? net.isIP(options.host) : -1;
+        if (address_type === 0)
+            throw new Error(
+                `RollStarts: The listen server "${name}" has an invalid host "${options.host}". Please use an IP address.`
+            );
+
+        // Ensure the name is unique across all of the listen servers
+        if (servers.has(name))
+            throw new Error(
+                `RollStarts: The listen server "${name}" is declared more than once. Please use unique names.`
+            );
+
+        // Create the server handle which will be shared with each generation of child processes
+        // Note! This is the internal function which the cluster module uses to create the handles it shares, there is no public equivalent
+        // which binds a handle without listening on it so the supported Node.js versions are pinned within the engines of the package.json
+        const handle =
+            options.path !== undefined
+                ? net._createServerHandle(options.path, -1, -1)
+                : net._createServerHandle(options.host || null, options.port, address_type === -1 ? 4 : address_type);
+
+        // A number is returned in place of the handle if there was an error
+        if (typeof handle === 'number') {
+            // Close all of the servers which have been opened so far
+            close_servers(servers);
+            throw new Error(
+                `RollStarts: Unable to listen for the server "${name}" (${util.getSystemErrorName(handle)}).`
+            );
+        }
+
+        servers.set(name, handle);
+    }
+
+    return servers;
+}
+
+/**
+ * Closes all of the server handles owned by the master process.
+ * @param {Map<string, Object>} servers
+ */
+function close_servers(servers) {
+    for (const handle of servers.values()) handle.close();
+    servers.clear();
+}
+
+module.exports = {
+    open_servers,
+    close_servers,
+};
@@ -0,0 +1,70 @@
+const os = require('os');
+const { DEFAULT_SIGNALS } = require('./constants.js');
+
+/**
+ * @typedef {Object} RollStartsSignalActions
+ * @property {function():void} restart Triggers a rolling restart.
+ * @property {function():Promise<void>} destroy Gracefully stops the application.
+ * @property {function():boolean} destroying Returns `true` once the application is being stopped.
+ */
+
+// The signals which cannot be handled by a process
+const UNCATCHABLE_SIGNALS = ['SIGKILL', 'SIGSTOP'];
+
+/**
+ * Ensures the signals are known and catchable and are mapped to supported actions.
+ * @param {true|Object<string, 'restart'|'shutdown'|null>} signals
+ */
+function validate_signals(signals) {
+    if (signals === true) return;
+    for (const signal in signals) {
+        const action = signals[signal];
+        if (!os.constants.signals[signal] || UNCATCHABLE_SIGNALS.includes(signal))
+            throw new Error(
+                `RollStarts: The signal "${signal}" is unknown or cannot be handled. Please use a signal name such as "SIGHUP" or "SIGUSR2".`
+            );
+        if (action && action !== 'restart' && action !== 'shutdown')
+            throw new Error(
+                `RollStarts: The signal "${signal}" is mapped to an unknown action "${action}". Please use either "restart" or "shutdown".`
+            );
+    }
+}
+
+/**
+ * Installs the signal handlers on the master process which restart or gracefully shut down the application.
+ * Note! A second shutdown signal received during a graceful shut down exits the master process immediately.
+ * @param {true|Object<string, 'restart'|'shutdown'|null>} signals The mapping of signals to actions or `true` for the default mapping.
+ * @param {RollStartsSignalActions} actions
+ * @returns {function():void} A function which removes the installed handlers.
+ */
+function install_signals(signals, actions) {
+    const handlers = new Map();
+    validate_signals(signals);
+    if (signals === true) signals = DEFAULT_SIGNALS;
+    for (const signal in signals) {
+        const action = signals[signal];
+        if (!action) continue;
+
+        // Exit with the conventional code of a process terminated by the signal
+        const code = 128 + (os.constants.signals[signal] || 0);
+        const handler = () => {
+            // Restart signals are ignored while shutting down but shutdown signals force an exit
+            if (actions.destroying()) return action === 'shutdown' && process.exit(code);
+            if (action === 'restart') return actions.restart();
+            actions.destroy().then(() => process.exit(code));
+        };
+
+        process.on(signal, handler);
+        handlers.set(signal, handler);
+    }
+
+    return () => {
+        for (const [signal, handler] of handlers) process.removeListener(signal, handler);
+        handlers.clear();
+    };
+}
+
+module.exports = {
+    validate_signals,
+    install_signals,
+};
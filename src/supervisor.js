@@ -0,0 +1,271 @@
+const EventEmitter = require('events');
+const { validate_options, RollStartsManager } = require('./manager.js');
+const { RollStartsLogger } = require('./logs.js');
+const { validate_signals, install_signals } = require('./signals.js');
+const { default_control_path, open_control } = require('./control.js');
+
+/**
+ * @typedef {import('./manager.js').RollStartsOptions & {depends_on?: string[]}} RollStartsAppOptions
+ * The options of a single app which may list the apps that must be ready before it is started.
+ */
+
+/**
+ * @typedef {Object} RollStartsSuperviseOptions
+ * @property {Object<string, RollStartsAppOptions>} apps The apps to run by their name.
+ * @property {boolean|Object<string, 'restart'|'shutdown'|null>} [signals=false] Whether to install signal handlers on the master process which restart or shut down all of the apps.
+ * @property {boolean|import('./logs.js').RollStartsLogsOptions} [logs=false] Whether to capture the output of the child processes of all the apps with a single logger which prefixes each line with the app name.
+ * @property {boolean|string} [control=false] Whether to open a local control endpoint for the `rollstarts` CLI which accepts an app name with each command.
+ */
+
+// The manager events which are forwarded by the supervisor with the name of the app appended to their arguments
+const FORWARDED_EVENTS = [
+    'active',
+    'exit',
+    'recover',
+    'crash-loop',
+    'restart',
+    'startup-timeout',
+    'rollback',
+    'hook-failed',
+    'liveness-failed',
+    'handoff-failed',
+    'protocol-mismatch',
+    'unresponsive',
+    'inspector',
+    'log',
+    'message',
+    'error',
+];
+
+/**
+ * Orders the apps so every app comes after the apps it depends on while otherwise keeping the declared order.
+ * @param {Object<string, RollStartsAppOptions>} apps
+ * @returns {string[]}
+ */
+function order_apps(apps) {
+    const order = [];
+    const visiting = new Set();
+    const visit = (name, path) => {
+        if (order.includes(name)) return;
+        if (!apps[name])
+            throw new Error(`RollStarts: The app "${path[path.length - 1]}" depends on an unknown app "${name}".`);
+        if (visiting.has(name))
+            throw new Error(`RollStarts: The apps have a circular dependency of ${[...path, name].join(' -> ')}.`);
+
+        visiting.add(name);
+        for (const dependency of apps[name].depends_on || []) visit(dependency, [...path, name]);
+        visiting.delete(name);
+        order.push(name);
+    };
+
+    for (const name of Object.keys(apps)) visit(name, []);
+    return order;
+}
+
+// Runs multiple named apps from a single master process with shared signal handling, logging and control
+class RollStartsSupervisor extends EventEmitter {
+    #options; // The supervise options
+    #order; // The app names ordered by their dependencies
+    #apps = new Map(); // The managers of the apps which have been started by their name
+    #started = new Map(); // The promises which resolve once each app has started by its name
+    #logger = null; // The logger shared by all of the apps (if any)
+    #control = null; // The control endpoint (if any)
+    #remove_signals = null; // Removes the signal handlers installed on the master process (if any)
+    #destroy_promise = null;
+
+    /**
+     * @param {RollStartsSuperviseOptions} options
+     */
+    constructor(options) {
+        // Initialize the event emitter
+        super();
+
+        // Store the options, order the apps and validate the signals before opening any resources so invalid options fail the start
+        this.#options = options;
+        this.#order = order_apps(options.apps);
+        if (options.signals) validate_signals(options.signals);
+
+        // Validate the options of every app up front as an app which fails later could only be reported once it is started
+        for (const name of this.#order) {
+            const { depends_on, ...app } = options.apps[name];
+            try {
+                validate_options(app);
+            } catch (cause) {
+                throw new Error(`RollStarts: The options of the app "${name}" are invalid. ${cause.message}`, {
+                    cause,
+                });
+            }
+        }
+
+        // Create the logger which is shared by all of the apps if enabled
+        // Each record is emitted by the manager of its app so it is forwarded like any other event
+        if (options.logs)
+            this.#logger = new RollStartsLogger(
+                options.logs === true ? {} : options.logs,
+                (record) => {
+                    const manager = this.#apps.get(record.app);
+                    if (manager) manager.emit('log', record);
+                },
+                (error) => this.emit('error', error)
+            );
+
+        // Open the control endpoint for the rollstarts CLI if enabled
+        if (options.control)
+            this.#control = open_control(
+                this,
+                typeof options.control === 'string' ? options.control : default_control_path()
+            );
+
+        // Install the signal handlers which act on all of the apps if enabled
+        if (options.signals)
+            this.#remove_signals = install_signals(options.signals, {
+                restart: () => this.restart(undefined, 'signal').catch((error) => this.#report(error)),
+                destroy: () => this.destroy(),
+                destroying: () => this.#destroy_promise !== null,
+            });
+
+        // Start each app once all of the apps it depends on have started
+        // Failures are emitted by the manager of the failed app so the promises are only awaited by its dependents
+        for (const name of this.#order) {
+            const started = this.#start(name);
+            started.catch(() => {});
+            this.#started.set(name, started);
+        }
+    }
+
+    /**
+     * Emits an error of a restart which nobody is awaiting.
+     * Note! Failed hooks are skipped as they have already been reported with a 'hook-failed' event and cancelled restarts as they were cancelled on purpose.
+     * Note! The error is emitted as a process warning without an 'error' listener so a failed background restart never crashes the master process.
+     * @param {Error} error
+     * @param {string} [name] The name of the app which the error belongs to.
+     */
+    #report(error, name) {
+        if (error.hook !== undefined || error.cancelled) return;
+        if (this.listenerCount('error')) this.emit('error', error, ...(name !== undefined ? [name] : []));
+        else process.emitWarning(error);
+    }
+
+    /**
+     * Starts an app once all of its dependencies have started.
+     * Note! An app whose dependency failed to start is not started, the failure itself is emitted as an 'error' event.
+     * @param {string} name
+     * @returns {Promise<void>}
+     */
+    async #start(name) {
+        const { depends_on = [], ...options } = this.#options.apps[name];
+        await Promise.all(depends_on.map((dependency) => this.#started.get(dependency)));
+        if (this.#destroy_promise) return;
+
+        // Create the manager of the app with the shared resources of this supervisor
+        let manager;
+        let started;
+        try {
+            manager = new RollStartsManager(
+                { ...options, signals: false, control: false },
+                {
+                    name,
+                    logger: options.logs ? undefined : this.#logger || undefined,
+                    restart_app: (sibling) => this.restart(sibling, 'child'),
+                    on_start: (promise) => (started = promise),
+                    destroy: () => this.destroy(),
+                }
+            );
+        } catch (error) {
+            this.#report(error, name);
+            throw error;
+        }
+        this.#apps.set(name, manager);
+
+        // Forward the events of the app with its name
+        // Errors are reported like the errors of this supervisor so they never throw without an 'error' listener
+        for (const event of FORWARDED_EVENTS)
+            manager.on(event, (...args) =>
+                event === 'error' ? this.#report(args[0], name) : this.emit(event, ...args, name)
+            );
+
+        // Wait for the initial start of the app
+        await started;
+    }
+
+    /**
+     * Returns the manager of an app or `undefined` if there is no such app or it has not been started yet.
+     * @param {string} name
+     * @returns {RollStartsManager|undefined}
+     */
+    app(name) {
+        return this.#apps.get(name);
+    }
+
+    /**
+     * Performs a rolling restart of a single app or of all the apps one after another in the order of their dependencies.
+     * @param {string} [name] The name of the app to restart, all of the apps are restarted if not provided.
+     * @param {string} [reason='manual'] The reason for the restart which is counted within the stats of each app.
+     * @returns {Promise<void>}
+     */
+    async restart(name, reason = 'manual') {
+        if (name === undefined) {
+            for (const app of this.#order) if (this.#apps.has(app)) await this.#apps.get(app).restart(reason);
+            return;
+        }
+
+        const manager = this.#apps.get(name);
+        if (!manager)
+            throw new Error(`RollStarts: Unable to restart the app "${name}" as it is unknown or not started.`);
+        return manager.restart(reason);
+    }
+
+    /**
+     * Stops all of the apps in the reverse order of their dependencies so an app stops before the apps it depends on.
+     * @returns {Promise<void>}
+     */
+    destroy() {
+        // If the supervisor is already being destroyed, return the promise
+        if (this.#destroy_promise) return this.#destroy_promise;
+
+        if (this.#control) this.#control.close();
+        this.#destroy_promise = (async () => {
+            for (const name of [...this.#order].reverse())
+                if (this.#apps.has(name)) await this.#apps.get(name).destroy();
+
+            // Close the shared resources once all of the apps have stopped
+            if (this.#logger) this.#logger.close();
+            if (this.#remove_signals) this.#remove_signals();
+        })();
+
+        return this.#destroy_promise;
+    }
+
+    /**
+     * Returns the stats of every app which has been started by its name.
+     * @returns {Promise<{pid: number, uptime_ms: number, in_flight: boolean, apps: Object<string, import('./metrics.js').RollStartsStats>}>}
+     */
+    async stats() {
+        const apps = {};
+        for (const [name, manager] of this.#apps) apps[name] = await manager.stats();
+        return {
+            pid: process.pid,
+            uptime_ms: Math.round(process.uptime() * 1000),
+            in_flight: this.in_flight,
+            apps,
+        };
+    }
+
+    /**
+     * Returns `true` if a rolling restart of any app is currently in flight.
+     */
+    get in_flight() {
+        return [...this.#apps.values()].some((manager) => manager.in_flight);
+    }
+
+    /**
+     * Returns the active child processes of every worker of every app in the order of their dependencies.
+     */
+    get workers() {
+        return this.#order.flatMap((name) => (this.#apps.has(name) ? this.#apps.get(name).workers : []));
+    }
+}
+
+module.exports = {
+    RollStartsSupervisor,
+};
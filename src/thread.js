@@ -0,0 +1,78 @@
+const util = require('util');
+const EventEmitter = require('events');
+const { Worker } = require('worker_threads');
+
+/**
+ * @typedef {Object} RollStartsThreadOptions
+ * @property {string[]} [argv] The arguments appended to `process.argv` within the worker thread.
+ * @property {Object<string, string>} env The environment variables of the worker thread.
+ * @property {boolean} [stdout=false] Whether to pipe the stdout of the worker thread rather than writing it to the stdout of the master process.
+ * @property {boolean} [stderr=false] Whether to pipe the stderr of the worker thread rather than writing it to the stderr of the master process.
+ * @property {import('worker_threads').ResourceLimits} [resourceLimits] The resource limits of the worker thread.
+ */
+
+// Runs the root Javascript file in a worker thread behind the interface of a child process so the manager can treat both alike
+// Note! The thread id is used as the PID as it identifies the thread within the master process
+class RollStartsThread extends EventEmitter {
+    #worker;
+    pid;
+    connected = true;
+    exitCode = null;
+    signalCode = null;
+    stdout = null;
+    stderr = null;
+
+    /**
+     * @param {string} path The path to the root Javascript file.
+     * @param {RollStartsThreadOptions} options
+     */
+    constructor(path, options) {
+        // Initialize the event emitter
+        super();
+
+        const { argv = [], env, stdout = false, stderr = false, resourceLimits } = options;
+        this.#worker = new Worker(path, { argv, env, stdout, stderr, resourceLimits });
+        this.pid = this.#worker.threadId;
+        if (stdout) this.stdout = this.#worker.stdout;
+        if (stderr) this.stderr = this.#worker.stderr;
+
+        // Forward the messages of the worker thread like the messages of a child process
+        this.#worker.on('message', (message) => this.emit('message', message));
+
+        // Write uncaught errors like a child process would as they end the worker thread rather than the master process
+        this.#worker.on('error', (error) => process.stderr.write(`Uncaught ${util.inspect(error)}\n`));
+
+        this.#worker.once('exit', (code) => {
+            this.connected = false;
+            this.exitCode = code;
+            this.emit('exit', code, null);
+        });
+    }
+
+    /**
+     * Sends a message to the worker thread.
+     * Note! Handles cannot be passed to worker threads so they are not supported.
+     * @param {any} message
+     * @returns {boolean}
+     */
+    send(message) {
+        if (!this.connected) throw new Error(`RollStarts: The worker thread ${this.pid} has already exited.`);
+        this.#worker.postMessage(message);
+        return true;
+    }
+
+    /**
+     * Terminates the worker thread as soon as possible.
+     * Note! Worker threads cannot handle signals so every signal terminates the thread.
+     * @returns {boolean}
+     */
+    kill() {
+        if (!this.connected) return false;
+        this.#worker.terminate();
+        return true;
+    }
+}
+
+module.exports = {
+    RollStartsThread,
+};
@@ -0,0 +1,301 @@
+const fs = require('fs');
+const path = require('path');
+const EventEmitter = require('events');
+
+/**
+ * @typedef {Object} RollStartsWatchOptions
+ * @property {string|string[]} [paths] The files, directories and glob patterns to watch. Defaults to the root Javascript file.
+ * @property {string[]} [ignore] The patterns to ignore. Patterns without a slash match any file or directory name along the path below the watched directory.
+ * @property {number} [debounce_ms=100] The time in milliseconds to wait for changes to settle before a restart is triggered.
+ */
+
+// These are ignored by default as they change often and never contain application code
+const DEFAULT_IGNORE = ['node_modules', '.git', 'logs', '*.log'];
+
+// This is a sufficient window to group the multiple writes made by most editors when saving a file
+const DEFAULT_DEBOUNCE_MS = 100;
+
+/**
+ * Converts a path to use forward slashes so the same patterns work on every platform.
+ * @param {string} file
+ * @returns {string}
+ */
+function to_posix(file) {
+    return file.split(path.sep).join('/');
+}
+
+/**
+ * Joins a forward slash directory path with the name of one of its entries.
+ * @param {string} directory
+ * @param {string} name
+ * @returns {string}
+ */
+function join(directory, name) {
+    return `${directory === '/' ? '' : directory}/${name}`;
+}
+
+/**
+ * Returns `true` if the pattern contains any glob characters.
+ * @param {string} pattern
+ * @returns {boolean}
+ */
+function is_glob(pattern) {
+    return /[*?[\]{}]/.test(pattern);
+}
+
+/**
+ * Converts a glob pattern into a regular expression which matches forward slash paths.
+ * Supports `**`, `*`, `?`, `[...]` character classes and `{a,b}` alternatives.
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+function glob_to_regex(glob) {
+    let source = '';
+    let depth = 0;
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+        switch (char) {
+            case '*':
+                if (glob[i + 1] === '*') {
+                    // A globstar matches any number of directories including none
+                    i++;
+                    if (glob[i + 1] === '/') {
+                        i++;
+                        source += '(?:.*/)?';
+                    } else {
+                        source += '.*';
+                    }
+                } else {
+                    source += '[^/]*';
+                }
+                break;
+            case '?':
+                source += '[^/]';
+                break;
+            case '[': {
+                // Copy the character class as is while supporting the ! negation
+                const end = glob.indexOf(']', i + 1);
+                if (end === -1) {
+                    source += '\\[';
+                    break;
+                }
+                const inner = glob
+                    .slice(i + 1, end)
+                    .replace(/^!/, '^')
+                    .replace(/\\/g, '\\\\');
+                source += `[${inner}]`;
+                i = end;
+                break;
+            }
+            case '{':
+                depth++;
+                source += '(?:';
+                break;
+            case '}':
+                if (depth) {
+                    depth--;
+                    source += ')';
+                } else {
+                    source += '\\}';
+                }
+                break;
+            case ',':
+                source += depth ? '|' : ',';
+                break;
+            default:
+                source += char.replace(/[.+^$()|\\]/g, '\\$&');
+        }
+    }
+
+    return new RegExp(`^${source}$`);
+}
+
+/**
+ * Returns the directory which a glob pattern is rooted at, this is the longest path before the first glob segment.
+ * @param {string} pattern An absolute forward slash pattern.
+ * @returns {string}
+ */
+function glob_base(pattern) {
+    const segments = pattern.split('/');
+    const index = segments.findIndex(is_glob);
+    return segments.slice(0, index).join('/') || '/';
+}
+
+// Watches files, directories and glob patterns and emits a debounced 'change' event with the changed files
+class RollStartsWatcher extends EventEmitter {
+    #targets = []; // The targets which each match the changed files they are interested in
+    #ignore = []; // The matchers for the ignored files and directories
+    #watchers = new Map(); // The directory watchers by their absolute path
+    #recursive = new Set(); // The directories whose sub-directories are also watched
+    #debounce_ms; // The time to wait for changes to settle
+    #pending = new Set(); // The changed files which have not been emitted yet
+    #timeout = null; // The debounce timeout (if any)
+    #closed = false; // Whether this watcher has been closed
+
+    /**
+     * @param {RollStartsWatchOptions} options
+     */
+    constructor(options) {
+        // Initialize the event emitter
+        super();
+
+        // Store the debounce window
+        this.#debounce_ms = options.debounce_ms !== undefined ? options.debounce_ms : DEFAULT_DEBOUNCE_MS;
+
+        // Build the matchers for the ignore patterns
+        const ignore = options.ignore || DEFAULT_IGNORE;
+        for (const pattern of ignore) {
+            if (pattern.includes('/')) {
+                // Match the pattern against the whole path
+                const regex = glob_to_regex(to_posix(path.resolve(pattern)));
+                this.#ignore.push((file) => regex.test(file));
+            } else {
+                // Match the pattern against each of the names along the path below the watched directory
+                const regex = glob_to_regex(pattern);
+                this.#ignore.push((file, relative) => relative.split('/').some((name) => name && regex.test(name)));
+            }
+        }
+
+        // Build a target for each of the paths to watch
+        const paths = Array.isArray(options.paths) ? options.paths : [options.paths];
+        for (const pattern of paths) {
+            const absolute = to_posix(path.resolve(pattern));
+            if (is_glob(pattern)) {
+                // Watch the base directory of the glob pattern and match files against the pattern
+                const regex = glob_to_regex(absolute);
+                const base = glob_base(absolute);
+                this.#targets.push({
+                    base,
+                    recursive: absolute.slice(base.length + 1).includes('/'),
+                    match: (file) => regex.test(file),
+                });
+            } else if (this.#is_directory(absolute)) {
+                // Watch the whole directory tree
+                this.#targets.push({
+                    base: absolute,
+                    recursive: true,
+                    match: (file) => file.startsWith(`${absolute}/`),
+                });
+            } else {
+                // Watch the parent directory so the file is still watched after it is replaced by an atomic rename
+                this.#targets.push({
+                    base: path.posix.dirname(absolute),
+                    recursive: false,
+                    match: (file) => file === absolute,
+                });
+            }
+        }
+
+        // Begin watching the base directory of each target
+        for (const { base, recursive } of this.#targets) this.#watch(base, recursive);
+    }
+
+    /**
+     * Returns `true` if the path is an existing directory.
+     * @param {string} file
+     * @returns {boolean}
+     */
+    #is_directory(file) {
+        try {
+            return fs.statSync(file).isDirectory();
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Returns `true` if the path is ignored by any of the ignore patterns.
+     * Names are matched below the deepest watched directory containing the path so the directories above it, such as a checkout within `~/logs`, are never ignored.
+     * @param {string} file
+     * @returns {boolean}
+     */
+    #is_ignored(file) {
+        let base = '';
+        for (const target of this.#targets) {
+            const contains = file === target.base || file.startsWith(join(target.base, ''));
+            if (contains && target.base.length > base.length) base = target.base;
+        }
+        const relative = base ? file.slice(base.length) : file;
+        return this.#ignore.some((matcher) => matcher(file, relative));
+    }
+
+    /**
+     * Begins watching a directory and optionally all of its sub-directories.
+     * @param {string} directory
+     * @param {boolean} recursive
+     */
+    #watch(directory, recursive) {
+        // Skip directories which are ignored or once this watcher has been closed
+        if (this.#closed || this.#is_ignored(directory)) return;
+
+        // Watch the directory for changes to any of its entries if it is not already watched
+        if (!this.#watchers.has(directory)) {
+            let watcher;
+            try {
+                watcher = fs.watch(directory, (event, filename) => {
+                    if (filename) this.#changed(join(directory, to_posix(filename)));
+                });
+            } catch (error) {
+                return this.emit('error', error);
+            }
+
+            // Stop watching the directory once it is removed
+            watcher.on('error', () => {
+                watcher.close();
+                this.#watchers.delete(directory);
+                this.#recursive.delete(directory);
+            });
+            this.#watchers.set(directory, watcher);
+        }
+
+        // Watch all of the sub-directories if this is a recursive watch which has not been walked yet
+        if (recursive && !this.#recursive.has(directory)) {
+            this.#recursive.add(directory);
+            let entries = [];
+            try {
+                entries = fs.readdirSync(directory, { withFileTypes: true });
+            } catch (error) {}
+            for (const entry of entries) if (entry.isDirectory()) this.#watch(join(directory, entry.name), true);
+        }
+    }
+
+    /**
+     * Handles a change to a file within one of the watched directories.
+     * @param {string} file
+     */
+    #changed(file) {
+        // Ignore the change if the file is ignored or this watcher has been closed
+        if (this.#closed || this.#is_ignored(file)) return;
+
+        // Begin watching new directories which are created within a recursive target
+        const directory = path.posix.dirname(file);
+        if (this.#recursive.has(directory) && this.#is_directory(file)) this.#watch(file, true);
+
+        // Ignore the change if it does not match any of the targets
+        if (!this.#targets.some(({ match }) => match(file))) return;
+
+        // Emit the changed files once changes have settled for the debounce window
+        this.#pending.add(file);
+        clearTimeout(this.#timeout);
+        this.#timeout = setTimeout(() => {
+            const files = Array.from(this.#pending);
+            this.#pending.clear();
+            this.emit('change', files);
+        }, this.#debounce_ms);
+    }
+
+    /**
+     * Stops watching all of the files and directories.
+     */
+    close() {
+        this.#closed = true;
+        clearTimeout(this.#timeout);
+        for (const watcher of this.#watchers.values()) watcher.close();
+        this.#watchers.clear();
+        this.#recursive.clear();
+    }
+}
+
+module.exports = {
+    RollStartsWatcher,
+};
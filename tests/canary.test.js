@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { create_manager, write_fixture, wait_for, wait_for_started } = require('./helpers.js');
+
+/**
+ * Writes an application which reports when it is suspended and resumed and exits with a code in one generation.
+ * @param {import('node:test').TestContext} t
+ * @returns {string}
+ */
+function create_app(t) {
+    return write_fixture(
+        t,
+        `const RollStarts = require(${JSON.stringify(path.join(__dirname, '..', 'index.js'))});
+const generation = process.env.ROLLSTARTS_GENERATION;
+RollStarts.on('suspend', () => RollStarts.send({ type: 'suspend', pid: process.pid }));
+RollStarts.on('resume', () => RollStarts.send({ type: 'resume', pid: process.pid }));
+(async () => {
+    await RollStarts.ready();
+    if (process.env.TEST_EXIT_GENERATION === generation) setTimeout(() => process.exit(7), 50);
+    setInterval(() => {}, 1000);
+})();
+`
+    );
+}
+
+/**
+ * Records the 'suspend' and 'resume' messages and the 'rollback' events of a manager.
+ * @param {import('../src/manager.js').RollStartsManager} manager
+ * @returns {Array<Array<string|number>>}
+ */
+function record_events(manager) {
+    const events = [];
+    manager.on(
+        'message',
+        (message) => ['suspend', 'resume'].includes(message.type) && events.push([message.type, message.pid])
+    );
+    manager.on('rollback', (restored, failed) => events.push(['rollback', restored.pid, failed.pid]));
+    return events;
+}
+
+test('suspends the old process during the canary window and stops it once the window passes', async (t) => {
+    const manager = create_manager({ path: create_app(t), canary_ms: 300 });
+    t.after(() => manager.destroy());
+    const events = record_events(manager);
+    await wait_for_started(manager);
+    const [old_process] = manager.workers;
+
+    // The restart only resolves once the window has passed and the old process is stopped
+    const started_at = Date.now();
+    await manager.restart();
+    assert.ok(Date.now() - started_at >= 300);
+    assert.notStrictEqual(manager.workers[0], old_process);
+    await wait_for(() => old_process.exitCode !== null || old_process.signalCode !== null);
+    assert.deepStrictEqual(events, [['suspend', old_process.pid]]);
+});
+
+test('rolls back to the suspended process once the canary check fails', async (t) => {
+    const checked = [];
+    const manager = create_manager({
+        path: create_app(t),
+        canary_ms: 5000,
+        canary_check_interval_ms: 50,
+        canary_check: (child, worker) => {
+            checked.push(worker);
+            return false;
+        },
+    });
+    t.after(() => manager.destroy());
+    const events = record_events(manager);
+    await wait_for_started(manager);
+    const [old_process] = manager.workers;
+
+    // The restart is rejected and the old process serves again while the failed process is stopped
+    const new_pids = [];
+    manager.on('active', (child) => new_pids.push(child.pid));
+    await assert.rejects(manager.restart(), /Failed Its Canary Check/);
+    const [new_pid] = new_pids;
+    assert.notStrictEqual(new_pid, old_process.pid);
+    assert.strictEqual(manager.workers[0], old_process);
+    assert.strictEqual(checked[0], 0);
+    await wait_for(() => events.length === 3);
+    assert.deepStrictEqual(events, [
+        ['suspend', old_process.pid],
+        ['rollback', old_process.pid, new_pid],
+        ['resume', old_process.pid],
+    ]);
+    assert.strictEqual(old_process.exitCode, null);
+});
+
+test('rolls back to the suspended process once the new process exits during the canary window', async (t) => {
+    const manager = create_manager({ path: create_app(t), canary_ms: 5000, env: { TEST_EXIT_GENERATION: '2' } });
+    t.after(() => manager.destroy());
+    const events = record_events(manager);
+    await wait_for_started(manager);
+    const [old_process] = manager.workers;
+
+    // The exit code of the new process is attached to the error the restart is rejected with
+    const error = await manager.restart().catch((error) => error);
+    assert.match(error.message, /Exited With Code 7 During Its Canary Window/);
+    assert.strictEqual(error.exit_code, 7);
+    assert.strictEqual(manager.workers[0], old_process);
+    await wait_for(() => events.length === 3);
+    assert.deepStrictEqual(
+        events.map(([type]) => type),
+        ['suspend', 'rollback', 'resume']
+    );
+    assert.strictEqual(events[1][1], old_process.pid);
+});
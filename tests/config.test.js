@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { find_config, load_config, parse_env, load_env_files } = require('../src/config.js');
+const { create_manager, temp_directory, write_fixture, wait_for, wait_for_started } = require('./helpers.js');
+
+test('parses the lines of an environment file', () => {
+    const content = [
+        '# A comment',
+        'PLAIN=value',
+        'export EXPORTED = spaced ',
+        'INLINE=value # a comment',
+        'HASH=value#not-a-comment',
+        "SINGLE='single # quoted\\n'",
+        'DOUBLE="line\\nbreak \\"quoted\\"" # a comment',
+        'EMPTY=',
+        'not a variable',
+    ].join('\r\n');
+
+    assert.deepStrictEqual(parse_env(content), {
+        PLAIN: 'value',
+        EXPORTED: 'spaced',
+        INLINE: 'value',
+        HASH: 'value#not-a-comment',
+        SINGLE: 'single # quoted\\n',
+        DOUBLE: 'line\nbreak "quoted"',
+        EMPTY: '',
+    });
+});
+
+test('merges environment files where later files override earlier ones', (t) => {
+    const directory = temp_directory(t);
+    fs.writeFileSync(path.join(directory, '.env'), 'SHARED=base\nBASE=1\n');
+    fs.writeFileSync(path.join(directory, '.env.local'), 'SHARED=local\n');
+
+    assert.deepStrictEqual(load_env_files([path.join(directory, '.env'), path.join(directory, '.env.local')]), {
+        SHARED: 'local',
+        BASE: '1',
+    });
+    assert.throws(() => load_env_files(path.join(directory, '.env.missing')), /Unable to read the environment file/);
+});
+
+test('resolves the paths of a configuration file relative to its directory', (t) => {
+    const directory = temp_directory(t);
+    const file = path.join(directory, 'rollstarts.config.json');
+    fs.writeFileSync(file, JSON.stringify({ path: 'app.js', env_file: '.env', instances: 2 }));
+
+    assert.strictEqual(find_config(directory), file);
+    assert.deepStrictEqual(load_config(file), {
+        path: path.join(directory, 'app.js'),
+        env_file: [path.join(directory, '.env')],
+        instances: 2,
+    });
+
+    fs.writeFileSync(file, '[]');
+    assert.throws(() => load_config(file), /must provide an object of options/);
+});
+
+test('reads the environment files again for each generation', async (t) => {
+    const file = write_fixture(t, 'TEST_VALUE=first\n', '.env');
+    const manager = create_manager({ env_file: file });
+    t.after(() => manager.destroy());
+    const values = [];
+    manager.on('message', (message) => message.type === 'started' && values.push(message.value));
+    await wait_for_started(manager);
+
+    fs.writeFileSync(file, 'TEST_VALUE=second\n');
+    await manager.restart();
+    await wait_for(() => values.length === 2);
+    assert.deepStrictEqual(values, ['first', 'second']);
+});
@@ -0,0 +1,90 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const net = require('net');
+const path = require('path');
+const child_process = require('child_process');
+const EventEmitter = require('events');
+const { open_control, send_control } = require('../src/control.js');
+const { temp_directory } = require('./helpers.js');
+
+/**
+ * Returns the path of a Unix socket within a new temporary directory.
+ * @param {import('node:test').TestContext} t
+ * @returns {string}
+ */
+function socket_path(t) {
+    return path.join(temp_directory(t), 'control.sock');
+}
+
+test('restricts the control socket to its owner', { skip: os.platform() === 'win32' }, async (t) => {
+    const endpoint = socket_path(t);
+    const manager = new EventEmitter();
+    manager.stats = async () => ({ generation: 3 });
+    const umask = process.umask();
+    const server = open_control(manager, endpoint);
+    t.after(() => server.close());
+
+    // The socket is never accessible by other users, even before the server begins listening
+    assert.strictEqual(fs.statSync(endpoint).mode & 0o777, 0o600);
+    assert.strictEqual(process.umask(), umask);
+    await new Promise((resolve) => server.once('listening', resolve));
+    let result;
+    await send_control(endpoint, { command: 'status' }, (response) => ((result = response.result), true));
+    assert.deepStrictEqual(result, { generation: 3 });
+});
+
+test('rejects a response which is not JSON', { skip: os.platform() === 'win32' }, async (t) => {
+    const endpoint = socket_path(t);
+    const server = net.createServer((socket) => socket.end('<html>\n'));
+    t.after(() => server.close());
+    await new Promise((resolve) => server.listen(endpoint, resolve));
+
+    await assert.rejects(
+        send_control(endpoint, { command: 'status' }, () => true),
+        /Unable to parse the response of the control endpoint/
+    );
+});
+
+test(
+    'replaces a stale socket left behind by a master process which is no longer running',
+    { skip: os.platform() === 'win32' },
+    async (t) => {
+        // A killed process leaves its socket behind as it never closes its server
+        const endpoint = socket_path(t);
+        const child = child_process.spawn(
+            process.execPath,
+            [
+                '-e',
+                `require('net').createServer().listen(${JSON.stringify(
+                    endpoint
+                )}, () => process.kill(process.pid, 'SIGKILL'))`,
+            ],
+            { stdio: 'ignore' }
+        );
+        await new Promise((resolve) => child.once('exit', resolve));
+        assert.ok(fs.lstatSync(endpoint).isSocket());
+
+        const server = open_control(new EventEmitter(), endpoint);
+        t.after(() => server.close());
+        await new Promise((resolve) => server.once('listening', resolve));
+        assert.strictEqual(fs.statSync(endpoint).mode & 0o777, 0o600);
+    }
+);
+
+test(
+    'never removes a file at the control endpoint which is not a socket',
+    { skip: os.platform() === 'win32' },
+    async (t) => {
+        const endpoint = socket_path(t);
+        fs.writeFileSync(endpoint, 'data');
+
+        const manager = new EventEmitter();
+        const server = open_control(manager, endpoint);
+        t.after(() => server.close());
+        const [error] = await EventEmitter.once(manager, 'error');
+        assert.match(error.message, /already exists and is not a socket/);
+        assert.strictEqual(fs.readFileSync(endpoint, 'utf8'), 'data');
+    }
+);
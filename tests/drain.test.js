@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { create_manager, wait_for, wait_for_started } = require('./helpers.js');
+
+test('lets the old process drain while its replacement serves', async (t) => {
+    const manager = create_manager({ env: { TEST_DRAIN_DELAY_MS: '500' } });
+    t.after(() => manager.destroy());
+    await wait_for_started(manager);
+    const [old_process] = manager.workers;
+
+    // The old process is still draining once its replacement is active and exits by itself afterwards
+    await manager.restart();
+    assert.notStrictEqual(manager.workers[0], old_process);
+    assert.strictEqual(old_process.exitCode, null);
+    await wait_for(() => old_process.exitCode !== null);
+    assert.strictEqual(old_process.exitCode, 0);
+    assert.strictEqual(old_process.signalCode, null);
+});
+
+test('escalates to a SIGKILL once a process ignores the SIGTERM after the drain timeout', async (t) => {
+    const manager = create_manager({
+        drain_timeout_ms: 100,
+        kill_timeout_ms: 100,
+        env: { TEST_DRAIN_DELAY_MS: '60000', TEST_IGNORE_SIGTERM: '1' },
+    });
+    t.after(() => manager.destroy());
+    await wait_for_started(manager);
+    const [old_process] = manager.workers;
+
+    await manager.restart();
+    await wait_for(() => old_process.signalCode !== null);
+    assert.strictEqual(old_process.signalCode, 'SIGKILL');
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { create_manager, wait_for } = require('./helpers.js');
+
+/**
+ * Resolves once a number of milliseconds has passed.
+ * @param {number} ms
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+test('emits a single crash-loop event once the recovery attempts are exhausted', async (t) => {
+    const manager = create_manager({ recover_attempts: 2, recover_backoff_ms: 10, env: { TEST_EXIT_CODE: '1' } });
+    t.after(() => manager.destroy());
+
+    const events = [];
+    manager.on('recover', (attempts) => events.push(['recover', attempts]));
+    manager.on('crash-loop', (worker, code) => events.push(['crash-loop', worker, code]));
+    await wait_for(() => events.some(([name]) => name === 'crash-loop'));
+
+    // The worker is left without a process so nothing crashes again
+    await sleep(300);
+    assert.deepStrictEqual(events, [
+        ['recover', 1],
+        ['recover', 0],
+        ['crash-loop', 0, 1],
+    ]);
+    assert.strictEqual(manager.workers[0], null);
+});
+
+test('does not recover at all when no recovery attempts are allowed', async (t) => {
+    const manager = create_manager({ recover_attempts: 0, env: { TEST_EXIT_CODE: '1' } });
+    t.after(() => manager.destroy());
+
+    const events = [];
+    manager.on('recover', (attempts) => events.push(['recover', attempts]));
+    manager.on('crash-loop', (worker, code) => events.push(['crash-loop', worker, code]));
+    await wait_for(() => events.length > 0);
+    await sleep(300);
+    assert.deepStrictEqual(events, [['crash-loop', 0, 1]]);
+});
+
+test('applies the exit policy of the exit code instead of recovering', async (t) => {
+    const manager = create_manager({
+        on_exit: { 3: { action: 'restart-after-delay', delay_ms: 100 }, 78: 'ignore' },
+        env: { TEST_EXIT_CODE: '3', TEST_EXIT_GENERATION: '1' },
+    });
+    t.after(() => manager.destroy());
+
+    // The process which exits with 3 is replaced after the delay without consuming a recovery attempt
+    const recoveries = [];
+    manager.on('recover', (attempts) => recoveries.push(attempts));
+    const exited = [];
+    manager.on('exit', (child) => exited.push(child.pid));
+    await wait_for(() => exited.length === 1 && manager.workers[0] && !exited.includes(manager.workers[0].pid));
+    assert.deepStrictEqual(recoveries, []);
+});
+
+test('leaves a worker without a process when its exit is ignored', async (t) => {
+    const manager = create_manager({ on_exit: { 78: 'ignore' }, env: { TEST_EXIT_CODE: '78' } });
+    t.after(() => manager.destroy());
+
+    const recoveries = [];
+    manager.on('recover', (attempts) => recoveries.push(attempts));
+    await wait_for(() => manager.workers[0]);
+    await wait_for(() => manager.workers[0] === null);
+    await sleep(300);
+    assert.strictEqual(manager.workers[0], null);
+    assert.deepStrictEqual(recoveries, []);
+});
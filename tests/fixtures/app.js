@@ -0,0 +1,47 @@
+const RollStarts = require('../../index.js');
+
+// A child application whose behaviour is controlled by the environment variables of each test
+const {
+    TEST_READY_DELAY_MS = '0',
+    TEST_DRAIN_DELAY_MS = '0',
+    TEST_EXIT_CODE,
+    TEST_EXIT_SIGNAL,
+    TEST_EXIT_GENERATION,
+    TEST_IGNORE_SIGTERM,
+} = process.env;
+const generation = process.env.ROLLSTARTS_GENERATION;
+
+// Announce the start of this process before it becomes ready
+RollStarts.send({
+    type: 'started',
+    pid: process.pid,
+    worker: +process.env.ROLLSTARTS_WORKER_ID,
+    generation: +generation,
+    value: process.env.TEST_VALUE,
+});
+
+// Keep running after a SIGTERM if the test escalates to a SIGKILL
+if (TEST_IGNORE_SIGTERM) process.on('SIGTERM', () => {});
+
+// Exit once the master process asks this process to stop serving and it has drained
+RollStarts.onShutdown(() => new Promise((resolve) => setTimeout(resolve, +TEST_DRAIN_DELAY_MS)));
+
+// Reply with the status of this process or request a restart of an app when the test asks for it
+RollStarts.on('message', async (message) => {
+    if (message && message.type === 'status') RollStarts.send({ type: 'status', status: await RollStarts.status() });
+    if (message && message.type === 'restart') RollStarts.restart(message.app);
+});
+
+(async () => {
+    await new Promise((resolve) => setTimeout(resolve, +TEST_READY_DELAY_MS));
+    await RollStarts.ready();
+
+    // Exit with the requested code or signal once ready if this is the generation which should exit
+    if (!TEST_EXIT_GENERATION || TEST_EXIT_GENERATION === generation) {
+        if (TEST_EXIT_CODE !== undefined) setTimeout(() => process.exit(+TEST_EXIT_CODE), 50);
+        if (TEST_EXIT_SIGNAL !== undefined) setTimeout(() => process.kill(process.pid, TEST_EXIT_SIGNAL), 50);
+    }
+
+    // Keep the process alive like a long running application
+    setInterval(() => {}, 1000);
+})();
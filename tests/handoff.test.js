@@ -0,0 +1,83 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const child_process = require('child_process');
+const { RS_CONSTANTS } = require('../src/constants.js');
+const { create_manager, write_fixture, wait_for, wait_for_started } = require('./helpers.js');
+
+/**
+ * Writes an application which hands off a state of a number of bytes and reports the length of the state it inherited.
+ * @param {import('node:test').TestContext} t
+ * @returns {string}
+ */
+function create_app(t) {
+    return write_fixture(
+        t,
+        `const RollStarts = require(${JSON.stringify(path.join(__dirname, '..', 'index.js'))});
+RollStarts.handoff(() => 'x'.repeat(+process.env.TEST_STATE_BYTES));
+(async () => {
+    const state = await RollStarts.inherited();
+    RollStarts.send({ type: 'inherited', length: state === undefined ? null : state.length });
+    await RollStarts.ready();
+    setInterval(() => {}, 1000);
+})();
+`
+    );
+}
+
+test('hands off the state of the old process to its replacement', async (t) => {
+    const manager = create_manager({ path: create_app(t), handoff_max_bytes: 100, env: { TEST_STATE_BYTES: '50' } });
+    t.after(() => manager.destroy());
+    const lengths = [];
+    manager.on('message', (message) => message.type === 'inherited' && lengths.push(message.length));
+    await wait_for_started(manager);
+
+    await manager.restart();
+    await wait_for(() => lengths.length === 2);
+    assert.deepStrictEqual(lengths, [null, 50]);
+});
+
+test('drops a state which exceeds the size limit before the old process sends it', async (t) => {
+    const manager = create_manager({ path: create_app(t), handoff_max_bytes: 100, env: { TEST_STATE_BYTES: '1000' } });
+    t.after(() => manager.destroy());
+    const lengths = [];
+    manager.on('message', (message) => message.type === 'inherited' && lengths.push(message.length));
+    const failures = [];
+    manager.on('handoff-failed', (error) => failures.push(error.message));
+    await wait_for_started(manager);
+
+    // The old process reports the limit instead of sending the state to the master process
+    await manager.restart();
+    await wait_for(() => lengths.length === 2);
+    assert.deepStrictEqual(lengths, [null, null]);
+    assert.strictEqual(failures.length, 1);
+    assert.match(failures[0], /Failed To Hand Off Its State: The state of 1002 bytes exceeds the limit of 100 bytes/);
+});
+
+test('stops waiting for the inherited state once the master process does not respond in time', async () => {
+    // Stand in for a master process which never relays the state to a replacement
+    const code = `require(${JSON.stringify(path.join(__dirname, '..', 'index.js'))})
+    .inherited()
+    .then(
+        () => process.send({ type: 'resolved' }),
+        (error) => process.send({ type: 'rejected', message: error.message })
+    );`;
+    const child = child_process.spawn(process.execPath, ['-e', code], {
+        stdio: ['ignore', 'ignore', 'inherit', 'ipc'],
+        env: {
+            ...process.env,
+            [RS_CONSTANTS.IS_ROLLSTARTS_RECURRING_PROCESS]: 'true',
+            [RS_CONSTANTS.IPC_TIMEOUT_MS]: '100',
+            [RS_CONSTANTS.HANDOFF_TIMEOUT_MS]: '100',
+        },
+    });
+
+    const message = await new Promise((resolve) =>
+        child.on('message', (message) => message.type !== RS_CONSTANTS.REQUEST_HANDOFF && resolve(message))
+    );
+    child.kill();
+    assert.deepStrictEqual(message, {
+        type: 'rejected',
+        message: 'RollStarts: The Master Process Did Not Respond Within The IPC Delay Of 200ms',
+    });
+});
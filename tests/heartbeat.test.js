@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const child_process = require('child_process');
+const { RS_CONSTANTS } = require('../src/constants.js');
+const { encode } = require('../src/ipc.js');
+
+// The path of the package which the child processes spawned by these tests require
+const INDEX_PATH = JSON.stringify(path.join(__dirname, '..', 'index.js'));
+
+/**
+ * Spawns a child process which watches the heartbeats of this process as its master process.
+ * @param {string} code The code of the child process.
+ * @returns {child_process.ChildProcess}
+ */
+function spawn_child(code) {
+    return child_process.spawn(process.execPath, ['-e', code], {
+        stdio: ['ignore', 'ignore', 'inherit', 'ipc'],
+        env: {
+            ...process.env,
+            [RS_CONSTANTS.IS_ROLLSTARTS_RECURRING_PROCESS]: 'true',
+            [RS_CONSTANTS.HEARTBEAT_INTERVAL_MS]: '50',
+            [RS_CONSTANTS.HEARTBEAT_TIMEOUT_MS]: '300',
+            [RS_CONSTANTS.DRAIN_TIMEOUT_MS]: '100',
+        },
+    });
+}
+
+/**
+ * Resolves with the exit code of a child process and the time it took to exit.
+ * @param {child_process.ChildProcess} child
+ * @returns {Promise<{code: number, elapsed_ms: number}>}
+ */
+function wait_for_exit(child) {
+    const started_at = Date.now();
+    return new Promise((resolve) =>
+        child.once('exit', (code) => resolve({ code, elapsed_ms: Date.now() - started_at }))
+    );
+}
+
+test('does not keep a child process alive which does not listen for the messages of the master process', async () => {
+    const child = spawn_child(`require(${INDEX_PATH}); setTimeout(() => {}, 200);`);
+    const { code } = await wait_for_exit(child);
+    assert.strictEqual(code, 0);
+});
+
+test('exits a listening child process once the master process has gone silent', async (t) => {
+    const child = spawn_child(`require(${INDEX_PATH}).onShutdown(() => {});`);
+    t.after(() => child.kill('SIGKILL'));
+
+    // The heartbeats of the master process keep the child process running until they stop
+    const interval = setInterval(() => child.send(encode(RS_CONSTANTS.HEARTBEAT)), 50);
+    await new Promise((resolve) => setTimeout(resolve, 600));
+    clearInterval(interval);
+    assert.strictEqual(child.exitCode, null);
+
+    // The child process drains through its shutdown handlers before it exits by itself
+    const { code, elapsed_ms } = await wait_for_exit(child);
+    assert.strictEqual(code, 0);
+    assert.ok(elapsed_ms >= 200);
+});
+
+test('exits a child process once its IPC channel to the master process is disconnected', async (t) => {
+    const child = spawn_child(`require(${INDEX_PATH}); setInterval(() => {}, 1000);`);
+    t.after(() => child.kill('SIGKILL'));
+    await new Promise((resolve) => setTimeout(resolve, 100));
+
+    child.disconnect();
+    const { code } = await wait_for_exit(child);
+    assert.strictEqual(code, 1);
+});
@@ -0,0 +1,72 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { RollStartsManager } = require('../src/manager.js');
+
+// The path to the child application used by the tests
+const APP_PATH = path.join(__dirname, 'fixtures', 'app.js');
+
+/**
+ * Creates a manager which runs the test application without watching it.
+ * @param {import('../src/manager.js').RollStartsOptions} [options]
+ * @returns {RollStartsManager}
+ */
+function create_manager(options = {}) {
+    return new RollStartsManager({ path: APP_PATH, watch: false, heartbeat_interval_ms: 0, ...options });
+}
+
+/**
+ * Resolves once a condition is met or rejects once the timeout has passed.
+ * @param {function():boolean} condition
+ * @param {number} [timeout_ms=10000]
+ * @returns {Promise<void>}
+ */
+async function wait_for(condition, timeout_ms = 10000) {
+    const deadline = Date.now() + timeout_ms;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error('Timed out waiting for the condition.');
+        await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+}
+
+/**
+ * Resolves once every worker of a manager has an active process and no restart is in flight.
+ * @param {RollStartsManager} manager
+ * @returns {Promise<void>}
+ */
+function wait_for_started(manager) {
+    return wait_for(() => !manager.in_flight && manager.workers.every(Boolean));
+}
+
+/**
+ * Creates a temporary directory which is removed once the test has finished.
+ * @param {import('node:test').TestContext} t
+ * @returns {string}
+ */
+function temp_directory(t) {
+    const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'rollstarts-'));
+    t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+    return directory;
+}
+
+/**
+ * Writes a fixture file into a temporary directory which is removed once the test has finished.
+ * @param {import('node:test').TestContext} t
+ * @param {string} source The contents of the file.
+ * @param {string} [name='app.js'] The name of the file.
+ * @returns {string} The path of the file.
+ */
+function write_fixture(t, source, name = 'app.js') {
+    const file = path.join(temp_directory(t), name);
+    fs.writeFileSync(file, source);
+    return file;
+}
+
+module.exports = {
+    APP_PATH,
+    create_manager,
+    temp_directory,
+    write_fixture,
+    wait_for,
+    wait_for_started,
+};
@@ -0,0 +1,24 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { create_manager, write_fixture, wait_for_started } = require('./helpers.js');
+
+test('runs shell hooks with the environment of the master process and the application', async (t) => {
+    const env_file = write_fixture(t, 'FILE_VALUE=file\n', '.env');
+
+    // Each hook fails unless it can see the variables of every source
+    const check = 'test -n "$PATH" && test "$SPAWN_VALUE" = spawn && test "$ENV_VALUE" = env';
+    const manager = create_manager({
+        options: { env: { SPAWN_VALUE: 'spawn' } },
+        env: { ENV_VALUE: 'env' },
+        env_file,
+        before_restart: check,
+        after_active: `${check} && test "$FILE_VALUE" = file`,
+    });
+    t.after(() => manager.destroy());
+
+    const failures = [];
+    manager.on('hook-failed', (error) => failures.push(error.output));
+    await wait_for_started(manager);
+    await manager.restart();
+    assert.deepStrictEqual(failures, []);
+});
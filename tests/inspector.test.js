@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const http = require('http');
+const child_process = require('child_process');
+const { listens_on, inspector_url } = require('../src/inspector.js');
+const { create_manager, wait_for, wait_for_started } = require('./helpers.js');
+
+/**
+ * Resolves with a TCP port which was free a moment ago.
+ * @returns {Promise<number>}
+ */
+function free_port() {
+    const server = net.createServer();
+    return new Promise((resolve) =>
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        })
+    );
+}
+
+test('does not announce the inspector of another process which listens on the port', async (t) => {
+    // The test process stands in for a master process which was itself started with an inspector
+    const server = http.createServer((request, response) =>
+        response.end(JSON.stringify([{ title: 'master', webSocketDebuggerUrl: 'ws://127.0.0.1/master' }]))
+    );
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    const { port } = server.address();
+
+    const child = child_process.spawn(process.execPath, ['-e', 'setInterval(() => {}, 1000)'], { stdio: 'ignore' });
+    await new Promise((resolve) => child.once('spawn', resolve));
+    assert.strictEqual(await listens_on(process.pid, port), true);
+    assert.strictEqual(await listens_on(child.pid, port), false);
+
+    // The URL is never announced for the child process which rejects once it exits
+    const url = inspector_url('127.0.0.1', port, child);
+    const pending = await Promise.race([
+        url.then(() => false),
+        new Promise((resolve) => setTimeout(resolve, 500, true)),
+    ]);
+    assert.strictEqual(pending, true);
+    child.kill();
+    await assert.rejects(url, /exited before its inspector/);
+});
+
+test('waits for a draining process to release its inspector port', async (t) => {
+    const port = await free_port();
+    const manager = create_manager({ inspect: { port }, env: { TEST_DRAIN_DELAY_MS: '1000' } });
+    t.after(() => manager.destroy());
+    await wait_for_started(manager);
+
+    // The queued restart begins while the first process still drains and both of the ports of the worker are held
+    const announced = new Map();
+    manager.on('inspector', (url, child) => announced.set(child.pid, url));
+    await Promise.all([manager.restart(), manager.restart()]);
+
+    // The last process is given the port which the first process released once it exited
+    const [{ pid }] = manager.workers;
+    await wait_for(() => announced.has(pid));
+    assert.strictEqual(new URL(announced.get(pid)).port, port.toString());
+});
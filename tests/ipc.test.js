@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { PROTOCOL_VERSION, encode, decode } = require('../src/ipc.js');
+const { create_manager, write_fixture, wait_for } = require('./helpers.js');
+
+test('unwraps the envelopes of the current protocol version only', () => {
+    assert.deepStrictEqual(decode(encode('ready', { port: 80 })), {
+        rollstarts: PROTOCOL_VERSION,
+        type: 'ready',
+        data: { port: 80 },
+    });
+
+    // Messages of the application itself are not envelopes
+    assert.strictEqual(decode('ready'), null);
+    assert.strictEqual(decode({ type: 'ready' }), null);
+    assert.strictEqual(decode({ rollstarts: '1', type: 'ready' }), null);
+
+    // Envelopes of another protocol version are rejected and reported
+    const versions = [];
+    assert.strictEqual(
+        decode({ rollstarts: PROTOCOL_VERSION + 1, type: 'ready' }, (version) => versions.push(version)),
+        null
+    );
+    assert.deepStrictEqual(versions, [PROTOCOL_VERSION + 1]);
+});
+
+/**
+ * Writes an application which sends envelopes of a future protocol version.
+ * @param {import('node:test').TestContext} t
+ * @returns {string}
+ */
+function create_app(t) {
+    return write_fixture(
+        t,
+        `for (let i = 0; i < 3; i++) process.send({ rollstarts: ${PROTOCOL_VERSION + 1}, type: 'ready' });\n` +
+            'setInterval(() => {}, 1000);\n'
+    );
+}
+
+test('reports a process which speaks another version of the protocol once', async (t) => {
+    const manager = create_manager({ path: create_app(t) });
+    t.after(() => manager.destroy());
+    const errors = [];
+    manager.on('protocol-mismatch', (error) => errors.push(error.message));
+    await wait_for(() => errors.length > 0);
+    await new Promise((resolve) => setTimeout(resolve, 200));
+
+    assert.strictEqual(errors.length, 1);
+    assert.match(errors[0], new RegExp(`uses version ${PROTOCOL_VERSION + 1} of the IPC protocol instead`));
+    assert.strictEqual(manager.workers[0], null);
+});
+
+test('warns about a protocol mismatch instead of throwing without a listener', async (t) => {
+    const warnings = [];
+    const on_warning = (warning) => /IPC protocol/.test(warning.message) && warnings.push(warning.message);
+    process.on('warning', on_warning);
+    t.after(() => process.removeListener('warning', on_warning));
+
+    // Emitting an 'error' event without a listener would throw within the IPC handler of the master process
+    const manager = create_manager({ path: create_app(t) });
+    t.after(() => manager.destroy());
+    await wait_for(() => warnings.length > 0);
+    await new Promise((resolve) => setTimeout(resolve, 200));
+    assert.strictEqual(warnings.length, 1);
+    assert.match(warnings[0], /of the IPC protocol instead/);
+});
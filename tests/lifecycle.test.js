@@ -0,0 +1,95 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const child_process = require('child_process');
+const RollStarts = require('../index.js');
+const { temp_directory, write_fixture } = require('./helpers.js');
+
+// The path of the package which the fixtures written by these tests require
+const INDEX_PATH = JSON.stringify(path.join(__dirname, '..', 'index.js'));
+
+test('rejects the child process functions in a master context', async () => {
+    assert.strictEqual(RollStarts.master(), true);
+    assert.throws(() => RollStarts.restart(), /NOT a child process/);
+    assert.throws(() => RollStarts.exit(), /NOT a child process/);
+    await assert.rejects(RollStarts.ready(), /NOT a child process/);
+    await assert.rejects(RollStarts.start(), /options.path argument is required/);
+    await assert.rejects(RollStarts.start({ path: 'invalid_path' }), /Unable to access the application path/);
+});
+
+test('recovers, restarts and exits an application through its whole lifecycle', async (t) => {
+    // The application counts its generations in a state file and takes the next step of its lifecycle in each of them
+    const directory = temp_directory(t);
+    const app = write_fixture(
+        t,
+        `const fs = require('fs');
+const RollStarts = require(${INDEX_PATH});
+const file = process.env.TEST_STATE_FILE;
+const state = fs.existsSync(file) ? +fs.readFileSync(file, 'utf8') : 0;
+(async () => {
+    await RollStarts.ready();
+    RollStarts.send({ type: 'ready', state, value: process.env.TEST_VALUE });
+    fs.writeFileSync(file, String(state + 1));
+    switch (state) {
+        case 0:
+            throw new Error('This is an expected error to simulate a crash.');
+        case 1:
+        case 2:
+            RollStarts.restart();
+            break;
+        case 3:
+            fs.writeFileSync(__filename, fs.readFileSync(__filename));
+            break;
+        case 4:
+            process.exit();
+        case 5:
+            RollStarts.exit();
+            break;
+    }
+    setInterval(() => {}, 1000);
+})();
+`
+    );
+
+    // The master process runs in its own process as the application exits it once its lifecycle is complete
+    const master = `const RollStarts = require(${INDEX_PATH});
+process.env.TEST_VALUE = 'propagated';
+RollStarts.start({ path: ${JSON.stringify(app)}, heartbeat_interval_ms: 0 }).then((manager) => {
+    const log = (record) => console.log(JSON.stringify(record));
+    if (manager.workers[0] || !manager.in_flight) log({ type: 'not-in-flight' });
+    manager.on('message', (message) => log(message));
+    manager.on('recover', (attempts) => log({ type: 'recover' }));
+    manager.on('restart', (reason) => log({ type: 'restart', reason }));
+    manager.on('error', (error) => log({ type: 'error', message: error.message }));
+});
+`;
+    const { status, stdout } = await new Promise((resolve) => {
+        const child = child_process.spawn(process.execPath, ['-e', master], {
+            cwd: directory,
+            env: { ...process.env, TEST_STATE_FILE: path.join(directory, 'state') },
+            stdio: ['ignore', 'pipe', 'ignore'],
+        });
+        let stdout = '';
+        child.stdout.on('data', (chunk) => (stdout += chunk));
+        child.once('exit', (status) => resolve({ status, stdout }));
+    });
+
+    const records = stdout
+        .split('\n')
+        .filter((line) => line.startsWith('{'))
+        .map((line) => JSON.parse(line));
+    assert.deepStrictEqual(records, [
+        { type: 'ready', state: 0, value: 'propagated' },
+        { type: 'recover' },
+        { type: 'ready', state: 1, value: 'propagated' },
+        { type: 'restart', reason: 'child' },
+        { type: 'ready', state: 2, value: 'propagated' },
+        { type: 'restart', reason: 'child' },
+        { type: 'ready', state: 3, value: 'propagated' },
+        { type: 'restart', reason: 'watch' },
+        { type: 'ready', state: 4, value: 'propagated' },
+        { type: 'recover' },
+        { type: 'ready', state: 5, value: 'propagated' },
+    ]);
+    assert.strictEqual(status, 0);
+});
@@ -0,0 +1,79 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { PassThrough } = require('stream');
+const { RollStartsLogger } = require('../src/logs.js');
+const { temp_directory } = require('./helpers.js');
+
+/**
+ * Creates a stand-in for a child process whose output is written by the test.
+ * @returns {{pid: number, stdout: PassThrough, stderr: PassThrough}}
+ */
+function create_child() {
+    return { pid: 1234, stdout: new PassThrough(), stderr: new PassThrough() };
+}
+
+/**
+ * Resolves once the pending writes of the logger had a chance to complete.
+ * @returns {Promise<void>}
+ */
+function settle() {
+    return new Promise((resolve) => setTimeout(resolve, 50));
+}
+
+test('writes the captured lines to a file which is rotated by size', async (t) => {
+    const file = path.join(temp_directory(t), 'app.log');
+    const errors = [];
+    const logger = new RollStartsLogger(
+        { console: false, file, format: 'json', max_size_bytes: 200, max_files: 1 },
+        () => {},
+        (error) => errors.push(error)
+    );
+
+    const child = create_child();
+    logger.attach(child, 1, 0);
+    child.stdout.write('first line\nsecond line\n');
+    await settle();
+
+    // The second line would exceed the size limit so the first line is rotated away
+    const lines = (name) => fs.readFileSync(name, 'utf8').trim().split('\n').map(JSON.parse);
+    assert.deepStrictEqual(
+        lines(`${file}.1`).map(({ message }) => message),
+        ['first line']
+    );
+    assert.deepStrictEqual(
+        lines(file).map(({ message }) => message),
+        ['second line']
+    );
+
+    // Lines captured after the logger is closed are discarded rather than opening the file again
+    logger.close();
+    child.stdout.write('third line\n');
+    await settle();
+    assert.deepStrictEqual(
+        lines(file).map(({ message }) => message),
+        ['second line']
+    );
+    assert.deepStrictEqual(errors, []);
+});
+
+test('reports a failing log file instead of throwing', { skip: !fs.existsSync('/dev/full') }, async () => {
+    const errors = [];
+    const records = [];
+    const logger = new RollStartsLogger(
+        { console: false, file: '/dev/full' },
+        (record) => records.push(record.message),
+        (error) => errors.push(error)
+    );
+
+    // Writing to /dev/full always fails with ENOSPC like a full disk
+    const child = create_child();
+    logger.attach(child, 1, 0);
+    child.stdout.write('lost line\n');
+    await settle();
+    logger.close();
+
+    assert.deepStrictEqual(records, ['lost line']);
+    assert.strictEqual(errors[0].code, 'ENOSPC');
+});
@@ -0,0 +1,28 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const child_process = require('child_process');
+const { RollStartsSampler, parse_cpu_time } = require('../src/metrics.js');
+
+test('parses the cumulative CPU time printed by ps on each platform', () => {
+    assert.strictEqual(parse_cpu_time('00:01:02'), 62000);
+    assert.strictEqual(parse_cpu_time('1-02:00:00'), 93600000);
+    assert.strictEqual(parse_cpu_time('0:01.50'), 1500);
+});
+
+test('measures the CPU usage of each sampler over its own window', { skip: os.platform() === 'win32' }, async (t) => {
+    const spawned_at = Date.now();
+    const child = child_process.spawn(process.execPath, ['-e', 'for (;;) {}'], { stdio: 'ignore' });
+    t.after(() => child.kill('SIGKILL'));
+    await new Promise((resolve) => setTimeout(resolve, 500));
+
+    // Sampling twice in a row with one sampler leaves the window of the other sampler untouched
+    const busy = new RollStartsSampler();
+    const other = new RollStartsSampler();
+    const processes = [{ pid: child.pid, spawned_at }];
+    await busy.sample(processes);
+    await busy.sample(processes);
+    const { rss_bytes, cpu_percent } = (await other.sample(processes)).get(child.pid);
+    assert.ok(rss_bytes > 0);
+    assert.ok(cpu_percent > 20, `The CPU usage since the spawn was only ${cpu_percent}%`);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const child_process = require('child_process');
+const { default_pid_path, clean_stale } = require('../src/pidfile.js');
+const { write_fixture } = require('./helpers.js');
+
+/**
+ * Spawns a process which runs until it is stopped.
+ * @param {Object} [env]
+ * @returns {Promise<import('child_process').ChildProcess>}
+ */
+function spawn_sleeper(env = {}) {
+    const child = child_process.spawn(process.execPath, ['-e', 'setInterval(() => {}, 1000)'], {
+        env: { ...process.env, ...env },
+        stdio: 'ignore',
+    });
+    return new Promise((resolve) => child.once('spawn', () => resolve(child)));
+}
+
+test('gives each app of a supervisor its own default PID file', () => {
+    assert.strictEqual(default_pid_path('/srv'), path.join('/srv', '.rollstarts.pid'));
+    assert.strictEqual(default_pid_path('/srv', 'api'), path.join('/srv', '.rollstarts.api.pid'));
+});
+
+test('only stops the stale child processes which were spawned by the previous master process', async (t) => {
+    // Use the PID of a process which has exited as the previous master process
+    const master = child_process.spawnSync(process.execPath, ['-e', '']).pid;
+    const owned = await spawn_sleeper({ ROLLSTARTS_MASTER_PID: master.toString() });
+    const unrelated = await spawn_sleeper();
+    t.after(() => [owned, unrelated].forEach((child) => child.kill('SIGKILL')));
+
+    const file = write_fixture(t, JSON.stringify({ pid: master, children: [owned.pid, unrelated.pid] }), 'test.pid');
+
+    const exited = new Promise((resolve) => owned.once('exit', resolve));
+    assert.deepStrictEqual(await clean_stale(file, 1000), [owned.pid]);
+    await exited;
+    assert.strictEqual(unrelated.exitCode, null);
+    assert.strictEqual(unrelated.signalCode, null);
+    assert.strictEqual(fs.existsSync(file), false);
+});
+
+test('refuses to clean up after a master process which is still running', async (t) => {
+    const file = write_fixture(t, JSON.stringify({ pid: process.ppid, children: [] }), 'test.pid');
+    await assert.rejects(clean_stale(file, 1000), /is already running/);
+});
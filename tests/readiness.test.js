@@ -0,0 +1,34 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const { validate_check, probe } = require('../src/readiness.js');
+
+test('rejects probes with a fixed target which the process being replaced would satisfy', () => {
+    const fixed = [
+        { type: 'port', port: 3000 },
+        { type: 'http', url: 'http://127.0.0.1:3000/health' },
+        { type: 'file', path: '/tmp/ready' },
+    ];
+    for (const check of fixed) {
+        assert.throws(() => validate_check(check, 'readiness'), /must be a function of the child process/);
+        assert.throws(() => validate_check(check, 'liveness'), /must be a function of the child process/);
+    }
+
+    // Checks which are bound to the output of a process or to time need no target
+    validate_check({ type: 'port', port: (child, worker) => 3000 + worker }, 'readiness');
+    validate_check({ type: 'stdout', match: 'listening' }, 'readiness');
+    validate_check({ type: 'delay', ms: 100 }, 'readiness');
+    assert.throws(() => validate_check({ type: 'delay', ms: 100 }, 'liveness'), /cannot be used as a liveness check/);
+});
+
+test('probes the target of the given process', async (t) => {
+    const server = net.createServer((socket) => socket.destroy());
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+
+    // Only the process whose target is listening passes the check
+    const { port } = server.address();
+    const check = { type: 'port', port: (child) => (child.pid === 1 ? port : 1), timeout_ms: 500 };
+    await probe(check, { pid: 1 }, 0);
+    await assert.rejects(probe(check, { pid: 2 }, 0));
+});
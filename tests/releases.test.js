@@ -0,0 +1,129 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { create_manager, temp_directory, wait_for, wait_for_started } = require('./helpers.js');
+
+/**
+ * Writes a release directory whose application reports the working directory it runs in once it is ready.
+ * Releases whose name starts with 'broken' never become ready.
+ * @param {string} directory The directory which contains the release directories.
+ * @param {string} name The name of the release directory.
+ * @returns {string} The path of the release directory.
+ */
+function write_release(directory, name) {
+    const release = path.join(directory, 'releases', name);
+    fs.mkdirSync(release, { recursive: true });
+    fs.writeFileSync(
+        path.join(release, 'app.js'),
+        `const RollStarts = require(${JSON.stringify(path.join(__dirname, '..', 'index.js'))});
+if (!${JSON.stringify(name)}.startsWith('broken'))
+    RollStarts.ready().then(() => RollStarts.send({ type: 'release', cwd: process.cwd() }));
+setInterval(() => {}, 1000);
+`
+    );
+    return fs.realpathSync(release);
+}
+
+/**
+ * Records the working directories reported by the active processes of a manager.
+ * @param {import('../src/manager.js').RollStartsManager} manager
+ * @returns {string[]}
+ */
+function record_releases(manager) {
+    const releases = [];
+    manager.on('message', (message) => message.type === 'release' && releases.push(message.cwd));
+    return releases;
+}
+
+test('deploys releases and rolls back to the previous one while trimming the history', async (t) => {
+    const directory = temp_directory(t);
+    const [a, b, c] = ['a', 'b', 'c'].map((name) => write_release(directory, name));
+    const manager = create_manager({ path: path.join(a, 'app.js'), options: { cwd: a }, release_history: 2 });
+    t.after(() => manager.destroy());
+    const releases = record_releases(manager);
+    const reasons = [];
+    manager.on('restart', (reason, metadata) => reasons.push([reason, path.basename(metadata.release.cwd)]));
+    await wait_for_started(manager);
+
+    // Only the last two releases are remembered once the third one is deployed
+    await manager.deploy({ path: path.join(b, 'app.js'), cwd: b });
+    await manager.deploy({ path: path.join(c, 'app.js'), cwd: c });
+    assert.deepStrictEqual(
+        manager.releases.map((release) => release.cwd),
+        [b, c]
+    );
+
+    // The rollback forgets the release it rolls back from and leaves no earlier release to return to
+    await manager.rollback();
+    assert.deepStrictEqual(
+        manager.releases.map((release) => release.cwd),
+        [b]
+    );
+    await assert.rejects(manager.rollback(), /There Is No Previous Release To Roll Back To/);
+
+    await wait_for(() => releases.length === 4);
+    assert.deepStrictEqual(releases, [a, b, c, b]);
+    assert.deepStrictEqual(reasons, [
+        ['deploy', 'b'],
+        ['deploy', 'c'],
+        ['rollback', 'b'],
+    ]);
+});
+
+test('keeps the current release once a deployed release does not become ready', async (t) => {
+    const directory = temp_directory(t);
+    const [a, broken] = ['a', 'broken'].map((name) => write_release(directory, name));
+    const manager = create_manager({ path: path.join(a, 'app.js'), options: { cwd: a }, startup_timeout_ms: 300 });
+    t.after(() => manager.destroy());
+    const releases = record_releases(manager);
+    await wait_for_started(manager);
+
+    await assert.rejects(manager.deploy({ path: path.join(broken, 'app.js'), cwd: broken }), /Startup Timeout/);
+    await assert.rejects(manager.deploy({ path: path.join(directory, 'missing.js') }), /Unable to access/);
+    assert.deepStrictEqual(
+        manager.releases.map((release) => release.cwd),
+        [a]
+    );
+
+    // Later restarts still run the current release
+    await manager.restart();
+    await wait_for(() => releases.length === 2);
+    assert.deepStrictEqual(releases, [a, a]);
+});
+
+test('deploys the release which the release link is re-pointed to', async (t) => {
+    const directory = temp_directory(t);
+    const [a, b] = ['a', 'b'].map((name) => write_release(directory, name));
+    const link = path.join(directory, 'current');
+    fs.symlinkSync(a, link);
+    const manager = create_manager({ path: path.join(link, 'app.js'), release_link: link });
+    t.after(() => manager.destroy());
+    const releases = record_releases(manager);
+    await wait_for_started(manager);
+
+    // The initial release is resolved through the link so a rollback does not follow the link
+    assert.strictEqual(manager.releases[0].cwd, a);
+    assert.strictEqual(manager.releases[0].path, path.join(a, 'app.js'));
+
+    // Re-point the link atomically like `ln -sfn` by renaming a new symlink over it
+    const next = path.join(directory, 'next');
+    fs.symlinkSync(b, next);
+    fs.renameSync(next, link);
+    await wait_for(() => releases.length === 2);
+    assert.deepStrictEqual(releases, [a, b]);
+    assert.deepStrictEqual(
+        manager.releases.map((release) => release.cwd),
+        [a, b]
+    );
+});
+
+test('rejects a path outside of the release link', (t) => {
+    const directory = temp_directory(t);
+    const a = write_release(directory, 'a');
+    fs.symlinkSync(a, path.join(directory, 'current'));
+    assert.throws(
+        () => create_manager({ path: path.join(a, 'app.js'), release_link: path.join(directory, 'current') }),
+        /must be within the release link/
+    );
+});
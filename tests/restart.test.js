@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { create_manager, wait_for, wait_for_started } = require('./helpers.js');
+
+test('queues a single follow-up restart for the requests made while a restart is in flight', async (t) => {
+    const manager = create_manager({ env: { TEST_READY_DELAY_MS: '200' } });
+    t.after(() => manager.destroy());
+    await wait_for_started(manager);
+
+    const reasons = [];
+    manager.on('restart', (reason) => reasons.push(reason));
+    const first = manager.restart('first');
+    const second = manager.restart('second');
+    const third = manager.restart('third');
+    assert.strictEqual(second, third);
+
+    // The follow-up restart uses the reason of the latest request and begins once the first one settles
+    await first;
+    await third;
+    assert.deepStrictEqual(reasons, ['first', 'third']);
+});
+
+test('cancels a restart without promoting the replacements which become ready afterwards', async (t) => {
+    const manager = create_manager({ instances: 2, env: { TEST_READY_DELAY_MS: '500' } });
+    t.after(() => manager.destroy());
+    await wait_for_started(manager);
+    const serving = manager.workers.map(({ pid }) => pid);
+
+    // Cancel the restart once its first replacement has started and before it is ready
+    let started = false;
+    manager.on('message', (message) => message.type === 'started' && (started = true));
+    const restart = manager.restart();
+    const follow_up = manager.restart();
+    await wait_for(() => started);
+    assert.strictEqual(manager.cancelRestart(), true);
+    await assert.rejects(restart, (error) => error.cancelled === true);
+    await assert.rejects(follow_up, (error) => error.cancelled === true);
+
+    // The old processes keep serving even after the readiness delay of the cancelled replacement has passed
+    await new Promise((resolve) => setTimeout(resolve, 800));
+    assert.deepStrictEqual(
+        manager.workers.map(({ pid }) => pid),
+        serving
+    );
+    assert.strictEqual(manager.in_flight, false);
+});
+
+test('does not cancel the initial start as nothing else would serve', async (t) => {
+    const manager = create_manager({ env: { TEST_READY_DELAY_MS: '200' } });
+    t.after(() => manager.destroy());
+    assert.strictEqual(manager.cancelRestart(), false);
+    await wait_for_started(manager);
+    assert.strictEqual(manager.cancelRestart(), false);
+});
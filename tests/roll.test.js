@@ -0,0 +1,35 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { create_manager, wait_for_started } = require('./helpers.js');
+
+test('starts every worker at once and then replaces them one batch at a time', async (t) => {
+    const manager = create_manager({ instances: 3, batch_size: 2, env: { TEST_READY_DELAY_MS: '300' } });
+    t.after(() => manager.destroy());
+    await wait_for_started(manager);
+
+    // Record when each process of the next generation starts and becomes active
+    const timeline = [];
+    manager.on('message', (message) => message.type === 'started' && timeline.push(['started', message.worker]));
+    manager.on('active', (child, worker) => timeline.push(['active', worker]));
+    await manager.restart();
+
+    // The third worker is only replaced once both workers of the first batch are active
+    const index = (event, worker) => timeline.findIndex(([name, id]) => name === event && id === worker);
+    assert.ok(index('started', 1) < index('active', 0), 'The first batch was not replaced at the same time');
+    assert.ok(index('started', 2) > index('active', 0), 'The second batch started before the first was active');
+    assert.ok(index('started', 2) > index('active', 1), 'The second batch started before the first was active');
+    assert.strictEqual(manager.workers.filter(Boolean).length, 3);
+});
+
+test('rejects a batch size or a number of instances below 1', () => {
+    for (const options of [{ batch_size: 0 }, { batch_size: -1 }, { batch_size: 1.5 }, { instances: 0 }])
+        assert.throws(() => create_manager(options), /must be a whole number of at least 1/);
+});
+
+test('rejects a batch size below 1 on reload', async (t) => {
+    const manager = create_manager();
+    t.after(() => manager.destroy());
+    assert.throws(() => manager.reload({ batch_size: 0, recover: false }), /batch_size/);
+    await wait_for_started(manager);
+    await manager.restart();
+});
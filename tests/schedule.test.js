@@ -0,0 +1,39 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { parse_cron } = require('../src/schedule.js');
+const { create_manager, temp_directory } = require('./helpers.js');
+
+test('finds the next matching minute of a cron expression in local time', () => {
+    const next = (expression, after) => parse_cron(expression).next(after);
+    assert.deepStrictEqual(next('*/15 * * * *', new Date(2024, 0, 1, 10, 7, 30)), new Date(2024, 0, 1, 10, 15));
+    assert.deepStrictEqual(next('0 3 * * *', new Date(2024, 0, 1, 3, 0)), new Date(2024, 0, 2, 3, 0));
+    assert.deepStrictEqual(next('30 2 1-7 6 *', new Date(2024, 0, 1)), new Date(2024, 5, 1, 2, 30));
+
+    // Sunday may be written as 7 and a restricted day of month or day of week matches either like in cron
+    assert.deepStrictEqual(next('0 0 * * 7', new Date(2024, 0, 1)), new Date(2024, 0, 7));
+    assert.deepStrictEqual(next('0 0 15 * 1', new Date(2024, 0, 2)), new Date(2024, 0, 8));
+
+    // A stepped asterisk is not a restriction so both fields must match
+    assert.deepStrictEqual(next('0 4 */2 * 1', new Date(2024, 0, 2)), new Date(2024, 0, 15, 4, 0));
+    assert.deepStrictEqual(next('0 4 13 * */2', new Date(2024, 0, 14)), new Date(2024, 1, 13, 4, 0));
+
+    // February 29 is found even when the next leap year is years away
+    assert.deepStrictEqual(next('0 0 29 2 *', new Date(2024, 2, 1)), new Date(2028, 1, 29));
+});
+
+test('rejects malformed and impossible cron expressions', () => {
+    assert.throws(() => parse_cron('* * * *'), /must have five fields/);
+    assert.throws(() => parse_cron('60 * * * *'), /minute field "60"/);
+    assert.throws(() => parse_cron('* * * 0 *'), /month field "0"/);
+    assert.throws(() => parse_cron('*/0 * * * *'), /minute field "\*\/0"/);
+    assert.throws(() => parse_cron('0 0 31 2 *'), /never matches any date/);
+    assert.throws(() => parse_cron('0 0 30 2 *'), /never matches any date/);
+});
+
+test('rejects an impossible restart schedule before any resources are opened', (t) => {
+    const pid_file = path.join(temp_directory(t), 'app.pid');
+    assert.throws(() => create_manager({ restart_schedule: '0 0 31 2 *', pid_file }), /never matches any date/);
+    assert.strictEqual(fs.existsSync(pid_file), false);
+});
@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const net = require('net');
+const http = require('http');
+const path = require('path');
+const { create_manager, write_fixture, wait_for_started } = require('./helpers.js');
+
+/**
+ * Resolves with a TCP port which was free a moment ago.
+ * @returns {Promise<number>}
+ */
+function free_port() {
+    const server = net.createServer();
+    return new Promise((resolve) =>
+        server.listen(0, '127.0.0.1', () => {
+            const { port } = server.address();
+            server.close(() => resolve(port));
+        })
+    );
+}
+
+/**
+ * Resolves with the body of a response or rejects with the error of the request.
+ * @param {number} port
+ * @returns {Promise<string>}
+ */
+function request(port) {
+    return new Promise((resolve, reject) =>
+        http
+            .get({ host: '127.0.0.1', port, agent: false }, (response) => {
+                let body = '';
+                response.setEncoding('utf8');
+                response.on('data', (chunk) => (body += chunk));
+                response.on('end', () => resolve(body));
+            })
+            .on('error', reject)
+    );
+}
+
+test('keeps answering on a shared port while the processes are swapped', async (t) => {
+    // Each process serves its PID on the server handle of the master process and closes it once it is asked to stop
+    const app = write_fixture(
+        t,
+        `const http = require('http');
+const RollStarts = require(${JSON.stringify(path.join(__dirname, '..', 'index.js'))});
+(async () => {
+    const server = http.createServer((request, response) => response.end(String(process.pid)));
+    server.listen(await RollStarts.server());
+    RollStarts.onShutdown(() => new Promise((resolve) => server.close(resolve)));
+    await RollStarts.ready();
+})();
+`
+    );
+    const port = await free_port();
+    const manager = create_manager({ path: app, listen: [{ port, host: '127.0.0.1' }] });
+    t.after(() => manager.destroy());
+    await wait_for_started(manager);
+
+    // Send requests one after another during two rolling restarts
+    let restarting = true;
+    const restarts = (async () => {
+        await manager.restart();
+        await manager.restart();
+        restarting = false;
+    })();
+    const pids = new Set();
+    let errors = 0;
+    while (restarting)
+        await request(port).then(
+            (pid) => pids.add(pid),
+            () => errors++
+        );
+    await restarts;
+
+    assert.strictEqual(errors, 0);
+    assert.ok(pids.size >= 2);
+    assert.strictEqual(await request(port), String(manager.workers[0].pid));
+});
@@ -0,0 +1,20 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { validate_signals } = require('../src/signals.js');
+const { create_manager, temp_directory } = require('./helpers.js');
+
+test('rejects unknown signals, uncatchable signals and unknown actions', () => {
+    validate_signals(true);
+    validate_signals({ SIGHUP: 'restart', SIGTERM: 'shutdown', SIGINT: null });
+    assert.throws(() => validate_signals({ SIGHUPP: 'restart' }), /signal "SIGHUPP" is unknown/);
+    assert.throws(() => validate_signals({ SIGKILL: 'shutdown' }), /signal "SIGKILL" is unknown or cannot be handled/);
+    assert.throws(() => validate_signals({ SIGHUP: 'reload' }), /unknown action "reload"/);
+});
+
+test('rejects invalid signals before any resources are opened', (t) => {
+    const pid_file = path.join(temp_directory(t), 'app.pid');
+    assert.throws(() => create_manager({ signals: { SIGHUP: 'reload' }, pid_file }), /unknown action/);
+    assert.strictEqual(fs.existsSync(pid_file), false);
+});
@@ -0,0 +1,80 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { create_manager, write_fixture, wait_for, wait_for_started } = require('./helpers.js');
+
+/**
+ * Writes an application which only becomes ready within the first generation or once it has been fixed.
+ * @param {import('node:test').TestContext} t
+ * @param {boolean} first Whether the first generation becomes ready.
+ * @returns {string}
+ */
+function create_app(t, first) {
+    return write_fixture(
+        t,
+        `const fs = require('fs');
+const RollStarts = require(${JSON.stringify(path.join(__dirname, '..', 'index.js'))});
+const fixed = fs.existsSync(__filename + '.fixed');
+if (fixed || (${first} && process.env.ROLLSTARTS_GENERATION === '1')) RollStarts.ready();
+setInterval(() => {}, 1000);
+`
+    );
+}
+
+/**
+ * Collects the messages of the process warnings emitted until the test has finished.
+ * @param {import('node:test').TestContext} t
+ * @returns {string[]}
+ */
+function collect_warnings(t) {
+    const warnings = [];
+    const listener = (warning) => warnings.push(warning.message);
+    process.on('warning', listener);
+    t.after(() => process.removeListener('warning', listener));
+    return warnings;
+}
+
+test('keeps the active process serving when a replacement does not become ready in time', async (t) => {
+    const app = create_app(t, true);
+    const manager = create_manager({ path: app, watch: true, startup_timeout_ms: 300 });
+    t.after(() => manager.destroy());
+    await wait_for_started(manager);
+    const [active] = manager.workers;
+    const timeouts = [];
+    manager.on('startup-timeout', (child) => timeouts.push(child.pid));
+
+    // A manual restart rejects with an error which is marked as a startup timeout
+    await assert.rejects(manager.restart(), (error) => error.timed_out === true);
+    assert.strictEqual(timeouts.length, 1);
+    assert.strictEqual(manager.workers[0], active);
+
+    // A restart triggered by a change is reported as a warning without an 'error' listener rather than crashing
+    const warnings = collect_warnings(t);
+    fs.appendFileSync(app, '\n');
+    await wait_for(() => warnings.length > 0);
+    assert.match(warnings[0], /Did Not Become Ready Within The Startup Timeout Of 300ms/);
+    assert.strictEqual(timeouts.length, 2);
+    assert.strictEqual(manager.workers[0], active);
+    assert.strictEqual(active.exitCode, null);
+});
+
+test('retries a timed out initial start once the application changes', async (t) => {
+    const app = create_app(t, false);
+    const warnings = collect_warnings(t);
+    const manager = create_manager({ path: app, watch: true, startup_timeout_ms: 300 });
+    t.after(() => manager.destroy());
+    const timeouts = [];
+    manager.on('startup-timeout', (child) => timeouts.push(child.pid));
+
+    // The worker is left without a process while the application is still watched
+    await wait_for(() => warnings.length > 0);
+    assert.strictEqual(timeouts.length, 1);
+    assert.strictEqual(manager.workers[0], null);
+
+    // Fixing the application starts it
+    fs.writeFileSync(app + '.fixed', '');
+    fs.appendFileSync(app, '\n');
+    await wait_for(() => manager.workers[0] !== null);
+    assert.strictEqual(timeouts.length, 1);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const { create_manager, wait_for_started } = require('./helpers.js');
+
+/**
+ * Resolves with the status which the active process of the first worker queries from the master process.
+ * @param {import('../src/manager.js').RollStartsManager} manager
+ * @returns {Promise<import('../src/manager.js').RollStartsStatus>}
+ */
+function query_status(manager) {
+    return new Promise((resolve) => {
+        const listener = (message) => {
+            if (message.type !== 'status') return;
+            manager.removeListener('message', listener);
+            resolve(message.status);
+        };
+        manager.on('message', listener);
+        manager.send(manager.workers[0].pid, { type: 'status' });
+    });
+}
+
+test('reports the reason of each generation and the exit of the process it replaced', async (t) => {
+    const manager = create_manager();
+    t.after(() => manager.destroy());
+    await wait_for_started(manager);
+
+    const initial = await query_status(manager);
+    assert.strictEqual(initial.generation, 1);
+    assert.strictEqual(initial.reason, 'start');
+    assert.strictEqual(initial.previous, null);
+
+    // The replaced process is still draining right after the restart but has exited once it is stopped
+    const previous_pid = manager.workers[0].pid;
+    await manager.restart('watch');
+    await new Promise((resolve) => setTimeout(resolve, 500));
+    const status = await query_status(manager);
+    assert.strictEqual(status.generation, 2);
+    assert.strictEqual(status.reason, 'watch');
+    assert.strictEqual(status.restarts, 2);
+    assert.strictEqual(status.previous.pid, previous_pid);
+    assert.ok(status.previous.exit_code !== null || status.previous.signal !== null, 'The exit was not recorded');
+});
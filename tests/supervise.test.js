@@ -0,0 +1,76 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const RollStarts = require('../index.js');
+const { APP_PATH, wait_for } = require('./helpers.js');
+
+/**
+ * Returns the options of an app which runs the test application without watching it.
+ * @param {Object} [options]
+ * @returns {Object}
+ */
+function app(options = {}) {
+    return { path: APP_PATH, watch: false, heartbeat_interval_ms: 0, ...options };
+}
+
+/**
+ * Resolves once every app of a supervisor has an active process.
+ * @param {import('../src/supervisor.js').RollStartsSupervisor} supervisor
+ * @param {string[]} names
+ * @returns {Promise<void>}
+ */
+function wait_for_apps(supervisor, names) {
+    return wait_for(() => names.every((name) => supervisor.app(name) && supervisor.app(name).workers.every(Boolean)));
+}
+
+test('starts each app after the apps it depends on and forwards their events with the app name', async (t) => {
+    const supervisor = await RollStarts.supervise({
+        apps: {
+            web: app({ depends_on: ['api'] }),
+            api: app({ depends_on: ['db'], env: { TEST_READY_DELAY_MS: '200' } }),
+            db: app({ env: { TEST_READY_DELAY_MS: '200' } }),
+        },
+    });
+    t.after(() => supervisor.destroy());
+
+    const active = [];
+    supervisor.on('active', (child, worker, name) => active.push(name));
+    await wait_for_apps(supervisor, ['web', 'api', 'db']);
+    assert.deepStrictEqual(active, ['db', 'api', 'web']);
+});
+
+test('rejects unknown and circular dependencies', async () => {
+    await assert.rejects(
+        RollStarts.supervise({ apps: { web: app({ depends_on: ['api'] }) } }),
+        /The app "web" depends on an unknown app "api"/
+    );
+    await assert.rejects(
+        RollStarts.supervise({
+            apps: { a: app({ depends_on: ['b'] }), b: app({ depends_on: ['c'] }), c: app({ depends_on: ['a'] }) },
+        }),
+        /circular dependency of a -> b -> c -> a/
+    );
+});
+
+test('rejects the invalid options of an app instead of dropping the app', async () => {
+    await assert.rejects(
+        RollStarts.supervise({ apps: { a: app({ instances: 0 }) } }),
+        /The options of the app "a" are invalid\. RollStarts: The instances option must be a whole number/
+    );
+});
+
+test('restarts a sibling app on behalf of a child process', async (t) => {
+    const supervisor = await RollStarts.supervise({ apps: { web: app(), worker: app() } });
+    t.after(() => supervisor.destroy());
+    await wait_for_apps(supervisor, ['web', 'worker']);
+
+    const restarts = [];
+    supervisor.on('restart', (reason, metadata, name) => restarts.push([reason, name]));
+    const [web] = supervisor.app('web').workers;
+    const [worker] = supervisor.app('worker').workers;
+    supervisor.app('web').send(web.pid, { type: 'restart', app: 'worker' });
+
+    // Only the sibling app is replaced
+    await wait_for(() => supervisor.app('worker').workers[0] !== worker && supervisor.app('worker').workers[0]);
+    assert.deepStrictEqual(restarts, [['child', 'worker']]);
+    assert.strictEqual(supervisor.app('web').workers[0], web);
+});
@@ -0,0 +1,16 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const path = require('path');
+const { APP_PATH, create_manager, wait_for, wait_for_started } = require('./helpers.js');
+
+test('runs a relative path within worker threads', async (t) => {
+    const manager = create_manager({ mode: 'worker', path: path.relative(process.cwd(), APP_PATH) });
+    t.after(() => manager.destroy());
+    await wait_for_started(manager);
+
+    // The thread of the previous generation exits once it has been replaced
+    const [initial] = manager.workers;
+    await manager.restart();
+    assert.notStrictEqual(manager.workers[0], initial);
+    await wait_for(() => initial.exitCode !== null);
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { RollStartsWatcher } = require('../src/watcher.js');
+const { temp_directory } = require('./helpers.js');
+
+/**
+ * Creates an application directory within a parent directory whose name is ignored by default.
+ * @param {import('node:test').TestContext} t
+ * @returns {string}
+ */
+function create_app(t) {
+    const directory = path.join(temp_directory(t), 'logs', 'app');
+    fs.mkdirSync(path.join(directory, 'node_modules'), { recursive: true });
+    fs.mkdirSync(path.join(directory, 'src'));
+    return directory;
+}
+
+/**
+ * Writes files one after another and resolves with the files of the first 'change' event or `null` if there was none.
+ * @param {RollStartsWatcher} watcher
+ * @param {string[]} files
+ * @returns {Promise<string[]|null>}
+ */
+async function change(watcher, files) {
+    const changed = new Promise((resolve) => {
+        watcher.once('change', resolve);
+        setTimeout(() => resolve(null), 1000);
+    });
+    for (const file of files) fs.writeFileSync(file, 'module.exports = 1;\n');
+    return changed;
+}
+
+test('matches the names of ignore patterns below the watched directory only', async (t) => {
+    const directory = create_app(t);
+    const watcher = new RollStartsWatcher({ paths: directory, debounce_ms: 50 });
+    t.after(() => watcher.close());
+
+    // The logs directory above the watched directory does not hide its changes
+    const files = await change(watcher, [
+        path.join(directory, 'node_modules', 'dependency.js'),
+        path.join(directory, 'debug.log'),
+        path.join(directory, 'index.js'),
+    ]);
+    assert.deepStrictEqual(files, [path.join(directory, 'index.js').split(path.sep).join('/')]);
+});
+
+test('matches ignore patterns with a slash against the whole path', async (t) => {
+    const directory = create_app(t);
+    const watcher = new RollStartsWatcher({
+        paths: path.join(directory, 'src', '**', '*.js'),
+        ignore: [path.join(directory, 'src', '*.test.js')],
+        debounce_ms: 50,
+    });
+    t.after(() => watcher.close());
+
+    const files = await change(watcher, [
+        path.join(directory, 'src', 'server.test.js'),
+        path.join(directory, 'src', 'server.js'),
+    ]);
+    assert.deepStrictEqual(files, [path.join(directory, 'src', 'server.js').split(path.sep).join('/')]);
+});
@@ -1,17 +1,94 @@
 import EventEmitter from 'events';
 import child_process from 'child_process';
+import {
+    RollStartsOptions,
+    RollStartsRelease,
+    RollStartsLogRecord,
+    RollStartsHookError,
+    RollStartsStats,
+    RollStartsRestartMetadata,
+    RollStartsRestartRequest,
+    RollStartsRestartReason,
+} from './types';
+
+export class RollStartsWatcher extends EventEmitter {
+    /**
+     * Stops watching all of the files and directories.
+     */
+    close(): void;
+}
 
 export class RollStartsManager extends EventEmitter {
+    /**
+     * Begins watching the root Javascript file or the configured files, directories and glob patterns for changes to automatically restart the application.
+     * Note! Changes are debounced and a 'restart' event is emitted with the changed files before each restart.
+     */
+    watch(): Promise<RollStartsWatcher | undefined>;
+
     /**
      * Performs a zero-downtime rolling restart of the application.
      * If there is no active process, then a normal start is performed to launch the application.
+     * Note! Workers are replaced one batch at a time and each batch waits for its replacements to be ready.
+     * Note! A restart requested while another is in flight is queued to begin once it settles, as its processes may have already loaded the previous code.
+     * All of the requests made during the same restart share the single follow-up restart which uses the reason of the latest request.
+     * @param request The reason for the restart which is counted within the stats or the reason along with the details of its trigger. Defaults to 'manual'.
+     */
+    restart(request?: string | RollStartsRestartRequest): Promise<void>;
+
+    /**
+     * Cancels the rolling restart in flight and the follow-up restart queued behind it (if any).
+     * The new processes which are not ready yet are stopped while the processes they would replace keep serving and the remaining batches are skipped.
+     * Note! Processes which are already active, including those within a canary window, are kept.
+     * So are new processes without an old process serving beside them, such as those of the initial start or of workers stopped first with `max_unavailable`.
+     * @returns Whether there was a follow-up restart, a starting replacement or a remaining batch to cancel.
      */
-    restart(): Promise<void>;
+    cancelRestart(): boolean;
+
+    /**
+     * Changes the options of the application for the next generation without restarting the master process.
+     * Note! The `listen`, `instances`, `control`, `metrics`, `logs` and `signals` options are bound to resources opened on start and cannot be changed.
+     */
+    reload(options: Partial<RollStartsOptions>): void;
+
+    /**
+     * Performs a rolling restart onto a different release such as a newly unpacked release directory.
+     * If the new release fails to become ready, the previous release is kept for later restarts and recoveries.
+     * Note! The `args` default to the path of the release rather than the arguments of the previous release.
+     */
+    deploy(release: RollStartsRelease): Promise<void>;
+
+    /**
+     * Performs a rolling restart back onto the release which was deployed before the current release.
+     */
+    rollback(): Promise<void>;
 
     /**
      * Destroys the manager and all associated resources including active application processes.
+     * The processes are stopped gracefully and the returned promise resolves once all of them have exited.
      */
-    destroy(): void;
+    destroy(): Promise<void>;
+
+    /**
+     * Sends an application message to the active process of every worker.
+     * Note! Child processes receive these messages with `RollStarts.on('message', handler)`.
+     */
+    broadcast(message: any): void;
+
+    /**
+     * Sends an application message to the active or temporary process with the provided PID.
+     * Note! Child processes receive these messages with `RollStarts.on('message', handler)`.
+     */
+    send(pid: number, message: any): boolean;
+
+    /**
+     * Returns the metrics of this manager along with the uptime and resource usage of the active process of each worker.
+     */
+    stats(): Promise<RollStartsStats>;
+
+    /**
+     * Returns the releases which have been deployed and are remembered for `rollback()` with the current release last.
+     */
+    get releases(): Array<RollStartsRelease & { deployed_at: number }>;
 
     /**
      * Returns `true` if there is currently a rolling restart in flight.
@@ -20,7 +97,51 @@ export class RollStartsManager extends EventEmitter {
 
     /**
      * Returns the active child process which is running the root Javascript file or null if there is no active process at the moment.
+     * Note! When running multiple instances, this is the active process of the first worker.
      * @returns {import('child_process').ChildProcess|null}
      */
     get active(): child_process.ChildProcess | null;
+
+    /**
+     * Returns the active child process of every worker indexed by the worker id.
+     * A worker which has no active process at the moment is represented by `null`.
+     */
+    get workers(): Array<child_process.ChildProcess | null>;
+
+    on(event: 'active', listener: (child: child_process.ChildProcess, worker: number) => void): this;
+    on(event: 'exit', listener: (child: child_process.ChildProcess, code: number | null, worker: number) => void): this;
+    on(event: 'recover', listener: (attempts: number, worker: number) => void): this;
+    on(
+        event: 'rollback',
+        listener: (restored: child_process.ChildProcess, failed: child_process.ChildProcess, worker: number) => void
+    ): this;
+    on(event: 'hook-failed', listener: (error: RollStartsHookError) => void): this;
+    on(
+        event: 'handoff-failed',
+        listener: (error: Error, child: child_process.ChildProcess, worker: number) => void
+    ): this;
+    on(
+        event: 'protocol-mismatch',
+        listener: (error: Error, child: child_process.ChildProcess, worker: number) => void
+    ): this;
+    on(
+        event: 'liveness-failed',
+        listener: (child: child_process.ChildProcess, worker: number, error: Error) => void
+    ): this;
+    on(
+        event: 'unresponsive',
+        listener: (child: child_process.ChildProcess, worker: number, silent_ms: number) => void
+    ): this;
+    on(event: 'inspector', listener: (url: string, child: child_process.ChildProcess, worker: number) => void): this;
+    on(event: 'log', listener: (record: RollStartsLogRecord) => void): this;
+    on(event: 'message', listener: (message: any, child: child_process.ChildProcess, worker: number) => void): this;
+    on(event: 'stale', listener: (pids: number[]) => void): this;
+    on(event: 'crash-loop', listener: (worker: number, code: number | null) => void): this;
+    on(
+        event: 'restart',
+        listener: (reason: RollStartsRestartReason, metadata: RollStartsRestartMetadata) => void
+    ): this;
+    on(event: 'startup-timeout', listener: (child: child_process.ChildProcess, worker: number) => void): this;
+    on(event: 'error', listener: (error: Error) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
 }
@@ -0,0 +1,54 @@
+import EventEmitter from 'events';
+import child_process from 'child_process';
+import { RollStartsManager } from './RollStartsManager';
+import { RollStartsLogRecord, RollStartsHookError, RollStartsStats } from './types';
+
+export class RollStartsSupervisor extends EventEmitter {
+    /**
+     * Returns the manager of an app or `undefined` if there is no such app or it has not been started yet.
+     */
+    app(name: string): RollStartsManager | undefined;
+
+    /**
+     * Performs a rolling restart of a single app or of all the apps one after another in the order of their dependencies.
+     * @param name The name of the app to restart, all of the apps are restarted if not provided.
+     * @param reason The reason for the restart which is counted within the stats of each app. Defaults to 'manual'.
+     */
+    restart(name?: string, reason?: string): Promise<void>;
+
+    /**
+     * Stops all of the apps in the reverse order of their dependencies so an app stops before the apps it depends on.
+     */
+    destroy(): Promise<void>;
+
+    /**
+     * Returns the stats of every app which has been started by its name.
+     */
+    stats(): Promise<{ pid: number; uptime_ms: number; in_flight: boolean; apps: { [name: string]: RollStartsStats } }>;
+
+    /**
+     * Returns `true` if a rolling restart of any app is currently in flight.
+     */
+    get in_flight(): boolean;
+
+    /**
+     * Returns the active child processes of every worker of every app in the order of their dependencies.
+     */
+    get workers(): Array<child_process.ChildProcess | null>;
+
+    // The events of each app are forwarded with the name of the app appended to their arguments
+    on(event: 'active', listener: (child: child_process.ChildProcess, worker: number, app: string) => void): this;
+    on(
+        event: 'exit',
+        listener: (child: child_process.ChildProcess, code: number | null, worker: number, app: string) => void
+    ): this;
+    on(event: 'hook-failed', listener: (error: RollStartsHookError, app: string) => void): this;
+    on(event: 'log', listener: (record: RollStartsLogRecord, app: string) => void): this;
+    on(
+        event: 'message',
+        listener: (message: any, child: child_process.ChildProcess, worker: number, app: string) => void
+    ): this;
+    on(event: 'stale', listener: (pids: number[], app: string) => void): this;
+    on(event: 'error', listener: (error: Error, app?: string) => void): this;
+    on(event: string | symbol, listener: (...args: any[]) => void): this;
+}
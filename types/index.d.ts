@@ -1,5 +1,6 @@
 import { RollStartsManager } from './RollStartsManager';
-import { RollStartsOptions } from './types';
+import { RollStartsSupervisor } from './RollStartsSupervisor';
+import { RollStartsOptions, RollStartsSuperviseOptions, RollStartsStatus } from './types';
 
 /**
  * Returns `true` if the current process is a master process which can start an application and manage sub-processes for zero-downtime rolling restarts.
@@ -9,9 +10,10 @@ export function master(): boolean;
 
 /**
  * Triggers a rolling restart of the application.
+ * When the application is run by `supervise()`, the name of a sibling app may be provided to restart it instead.
  * Note! This method can ONLY be called from a child process, not the master process.
  */
-export function restart(): void;
+export function restart(app?: string): void;
 
 /**
  * Triggers a complete exit of the whole application including the master process.
@@ -25,8 +27,81 @@ export function exit(code?: number | string | null | undefined): void;
 export function start(options: RollStartsOptions): Promise<RollStartsManager>;
 
 /**
- * Returns a `Promise` that resolves once a rolling restart is complete.
- * This means that the old process (if any) has exited and this process has fully replaced it.
- * Note! This can be useful to wait before starting a webserver for example in order to prevent port busy / reuse errors.
+ * Runs multiple named applications from a single master process with shared signal handling, logging and control.
+ * Each app is started once all of the apps listed in its `depends_on` option have started.
+ */
+export function supervise(options: RollStartsSuperviseOptions): Promise<RollStartsSupervisor>;
+
+/**
+ * Returns a `Promise` that resolves once this process has become the active process of its worker.
+ * This means that the old process (if any) has been asked to stop serving, or to suspend serving during a canary window, but it may still be draining its in-flight requests and has not necessarily exited.
+ * Note! A webserver which binds a port itself may therefore still see port busy / reuse errors until the old process has closed its servers.
+ * Servers retrieved with `server()` are shared with the old process and can be listened on at any time.
  */
 export function ready(): Promise<void>;
+
+/**
+ * Returns a `Promise` that resolves with the handle of a server opened by the master process with the `listen` option.
+ * The handle can be passed directly to `http.Server#listen` or `net.Server#listen` to begin accepting connections.
+ * Note! This method can ONLY be called from a child process, not the master process.
+ */
+export function server(name?: string | number): Promise<object>;
+
+/**
+ * Returns a `Promise` that resolves with the status of the generation of this process as known by the master process.
+ * The status includes the reason this process was started, such as `start`, `watch`, `child`, `signal` or `recover`, and the process it replaces.
+ * The reason of the initial start is `start` and the reason of a restart requested by a child process with `restart()` is `child`.
+ * Note! This can be useful to skip expensive warmups, for example after a recovery from a crash.
+ * Note! This method can ONLY be called from a child process, not the master process.
+ */
+export function status(): Promise<RollStartsStatus>;
+
+/**
+ * Returns a `Promise` that resolves once the master process asks this process to stop serving.
+ * This happens when this process is being replaced by a rolling restart or the application is shutting down.
+ * Note! Calling this function registers this process to be gracefully drained by the master process instead of being immediately sent a SIGTERM.
+ */
+export function draining(): Promise<void>;
+
+/**
+ * Registers a handler which is called once the master process asks this process to stop serving.
+ * Once all of the registered handlers have settled, this process exits so the master process does not have to escalate to a SIGTERM.
+ * Note! This method can ONLY be called from a child process, not the master process.
+ */
+export function onShutdown(handler: () => any | Promise<any>): void;
+
+/**
+ * Registers a serializer which provides a snapshot of the state of this process once its replacement asks for it with `inherited()`.
+ * The snapshot must be serializable over the IPC channel and is dropped if it takes too long to produce or is too large, in which case it is never sent.
+ * Note! This method can ONLY be called from a child process, not the master process.
+ */
+export function handoff(serializer: () => any | Promise<any>): void;
+
+/**
+ * Returns a `Promise` that resolves with the state handed off by the process this process replaces.
+ * Resolves with `undefined` if this is the initial process or the old process did not provide its state in time.
+ * Rejects if the master process does not relay the state within the handoff timeout and the IPC timeout.
+ * Note! Call this before or while awaiting `ready()` so the state is restored before this process begins to serve.
+ */
+export function inherited<T = any>(): Promise<T | undefined>;
+
+/**
+ * Sends an application message to the master process.
+ * Note! The master process receives these messages with the 'message' event of the manager.
+ * Note! This method can ONLY be called from a child process, not the master process.
+ */
+export function send(message: any): boolean;
+
+/**
+ * Registers a listener for the application messages sent by the master process with `broadcast()` or `send()`.
+ * The `suspend` and `resume` events are emitted when a canary window suspends this process from serving and when a rollback brings it back.
+ * The `orphaned` event is emitted once the master process has exited or gone silent, this process then exits after the drain timeout.
+ * Note! This method can ONLY be called from a child process, not the master process.
+ */
+export function on(event: 'message', listener: (message: any) => void): void;
+export function on(event: 'suspend' | 'resume' | 'orphaned', listener: () => void): void;
+
+/**
+ * Removes a listener which was registered with `on()`.
+ */
+export function off(event: 'message' | 'suspend' | 'resume' | 'orphaned', listener: (message?: any) => void): void;
@@ -1,14 +1,254 @@
 import child_process from 'child_process';
+import worker_threads from 'worker_threads';
 
 // Define the options passed to the start() function
 export interface RollStartsOptions {
-    path: string; // The path to the root Javascript file for your application.
-    watch?: boolean; // Whether or not to watch the root Javascript file for changes to automatically restart the application.
+    path?: string; // The path to the root Javascript file for your application. May be omitted when it is provided by the configuration file.
+    watch?: boolean | string | string[] | RollStartsWatchOptions; // Whether or not to watch the root Javascript file for changes to automatically restart the application. Files, directories and glob patterns to watch may also be provided.
     recover?: boolean; // Whether to automatically recover from a crash within the root Javascript file application.
     recover_attempts?: number; // The number of times to attempt recovery from a crashes. Note! This count only applies to a crash loop and will reset if the application remains started for a period of time.
     recover_ttl_ms?: number; // The interval in milliseconds before the recovery attempts count resets.
+    recover_backoff_ms?: number; // The delay in milliseconds before the first recovery of a crash loop. Each following recovery waits exponentially longer.
+    recover_backoff_max_ms?: number; // The maximum delay in milliseconds between recoveries.
+    recover_backoff_factor?: number; // The factor by which the delay grows with each recovery of a crash loop.
+    recover_backoff_jitter?: number; // The fraction of the delay which is randomly added or removed to prevent workers from recovering in lockstep.
+    on_exit?: { [code_or_signal: string]: RollStartsExitPolicy }; // The actions taken by exit code or signal name once a process exits while it is in use, such as { 0: 'exit-master', 78: 'ignore' }. Exits without a policy are recovered if recover is enabled.
     ipc_timeout_ms?: number; // The timeout in milliseconds for IPC messages. This is required to prevent hanging processes.
+    startup_timeout_ms?: number; // The time in milliseconds a new process is given to become ready before it is killed and the restart fails with an error whose timed_out property is set. Use 0 to wait indefinitely.
+    drain_timeout_ms?: number; // The time in milliseconds an old process is given to drain after being asked to stop serving before it is sent a SIGTERM.
+    kill_timeout_ms?: number; // The time in milliseconds a process is given to exit after being sent a SIGTERM before it is sent a SIGKILL.
+    canary_ms?: number; // The time in milliseconds a new process is watched after becoming active while the old process is suspended rather than stopped.
+    canary_check?: (child: child_process.ChildProcess, worker: number) => boolean | Promise<boolean>; // The health check which is periodically called during the canary window. Returning false or throwing rolls back to the old process.
+    canary_check_interval_ms?: number; // The interval in milliseconds between the canary checks.
+    before_restart?: RollStartsHook | RollStartsHook[]; // The shell commands or async functions which run in the master process before each generation is spawned. A failing hook aborts the restart and keeps the current processes serving. Shell commands inherit the environment of the master process along with the env option and the variables of the environment files which were last read.
+    after_active?: RollStartsHook | RollStartsHook[]; // The shell commands or async functions which run in the master process once each generation is active.
+    readiness?: 'ipc' | RollStartsCheck; // How the master process determines that a new process is ready. By default the child calls ready() over IPC, a check may be provided for children which cannot.
+    liveness?: RollStartsCheck; // A port, http or file check which is periodically evaluated against each active process. A process which fails it failure_threshold times in a row is stopped and recovered.
+    heartbeat_interval_ms?: number; // The interval in milliseconds at which the master and child processes send each other heartbeats over the IPC channel. Use 0 to disable the heartbeats.
+    heartbeat_timeout_ms?: number; // The time in milliseconds without a heartbeat after which a child process which listens for the messages of the master process, such as with onShutdown(), considers itself orphaned and exits after draining for drain_timeout_ms, and after which the master process emits an 'unresponsive' event for a child process.
+    pid_file?: boolean | string; // Whether to write the PIDs of the master process and its child processes to a PID file so a new master process can stop the child processes left behind by a previous one, which are reported with the stale event. A path may also be provided, by default .rollstarts.pid within the working directory is used or .rollstarts.<name>.pid for an app of a supervisor.
+    handoff_timeout_ms?: number; // The time in milliseconds an old process is given to serialize its state for its replacement before the replacement starts without it.
+    handoff_max_bytes?: number; // The maximum size in bytes of the serialized state of an old process. Larger states are dropped.
+    instances?: number | 'max'; // The number of worker processes to run the application with. Use 'max' to run one worker per CPU core.
+    batch_size?: number; // The number of workers which are replaced at the same time during a rolling restart.
+    max_unavailable?: number; // The number of workers within a batch which may be stopped before their replacement is ready.
+    listen?: RollStartsListenOptions[]; // The servers which the master process opens once and hands to each generation of child processes.
+    control?: boolean | string; // Whether to open a local control endpoint for the rollstarts CLI. A path to a Unix socket or named pipe may also be provided.
+    signals?: boolean | { [signal: string]: 'restart' | 'shutdown' | null }; // Whether to install signal handlers on the master process. By default SIGHUP and SIGUSR2 trigger a rolling restart while SIGTERM and SIGINT gracefully shut down the application.
+    logs?: boolean | RollStartsLogsOptions; // Whether to capture the stdout and stderr of each child process and write each line prefixed with its timestamp, PID and generation.
+    max_memory_mb?: number; // The resident set size in megabytes above which a child process triggers a rolling restart.
+    max_cpu_percent?: number; // The CPU usage in percent which a child process must stay at or above for max_cpu_duration_ms to trigger a rolling restart.
+    max_cpu_duration_ms?: number; // The time in milliseconds the CPU usage must stay above max_cpu_percent before a rolling restart is triggered.
+    resource_check_interval_ms?: number; // The interval in milliseconds at which the memory and CPU usage of the child processes are sampled.
+    restart_every_ms?: number; // The interval in milliseconds at which a rolling restart is triggered.
+    restart_schedule?: string; // A five field cron expression in local time at which a rolling restart is triggered, such as '0 4 * * *' for every day at 4 AM.
+    restart_jitter_ms?: number; // The maximum random delay in milliseconds added to each scheduled restart.
+    metrics?: boolean | number | RollStartsMetricsOptions; // Whether to open a local HTTP listener which serves the stats in the Prometheus text format on /metrics and as JSON on /status. A port or the listener options may also be provided.
+    config?: boolean | string; // The path to a rollstarts.config.js or rollstarts.config.json file which provides the options, or true to look one up within the working directory. By default it is only looked up when no path is provided. Options passed in code take precedence over the file and changes to the file are reloaded by the watcher.
+    env_file?: string | string[]; // The environment files which are read before each generation is spawned so rotated secrets reach the next generation without restarting the master process.
+    env?: { [key: string]: string }; // The environment variables passed to each generation on top of the environment files.
+    release_link?: string; // The path of a symlink such as 'current' which points to the active release directory and contains the root Javascript file. Each release runs from the directory the link pointed to when it was deployed and re-pointing the link deploys the release it points to.
+    release_history?: number; // The number of releases which are remembered so rollback() can return to a previous one.
+    mode?: 'process' | 'worker'; // Whether to run each generation as a child process or as a worker_threads Worker within the master process. Worker threads start faster but share the master process, so command, listen and options do not apply and args are appended to process.argv of the thread.
+    inspect?: boolean | number | RollStartsInspectOptions; // Whether to start each child process with its own inspector port so the process being replaced and its replacement never compete for the same port. A first port or the inspector options may also be provided, by default each worker alternates between two ports starting at 9229. A new process waits for a process which is being stopped to release its port when all of them are held. An 'inspector' event is emitted with the ws:// URL of each process once it is active.
+    resource_limits?: worker_threads.ResourceLimits; // The resource limits of each worker thread in worker mode. The max_memory_mb option defaults the maxOldGenerationSizeMb limit as the memory of a thread cannot be sampled.
     command?: string; // The command used to start the application.
     args?: string[]; // The arguments passed to the command.
     options?: child_process.SpawnOptions; // The options passed when constructing the child process.
 }
+
+// Define the options passed to the supervise() function
+export interface RollStartsSuperviseOptions {
+    apps: { [name: string]: RollStartsAppOptions }; // The apps to run by their name.
+    signals?: boolean | { [signal: string]: 'restart' | 'shutdown' | null }; // Whether to install signal handlers on the master process which restart or gracefully shut down all of the apps.
+    logs?: boolean | RollStartsLogsOptions; // Whether to capture the output of the child processes of all the apps with a single logger which prefixes each line with the app name.
+    control?: boolean | string; // Whether to open a local control endpoint for the rollstarts CLI which accepts an app name with each command.
+}
+
+// Define the options of a single app run by supervise()
+export interface RollStartsAppOptions extends Omit<RollStartsOptions, 'signals' | 'control'> {
+    depends_on?: string[]; // The names of the apps which must have started before this app is started.
+}
+
+// Define a release which the manager can deploy
+export interface RollStartsRelease {
+    path: string; // The path to the root Javascript file of the release.
+    cwd?: string; // The working directory of the child processes of the release.
+    args?: string[]; // The arguments passed to the command. Defaults to the path of the release.
+    command?: string; // The command used to start the release. Defaults to the current command.
+}
+
+// Define a shell command which fails with a non-zero exit code or an async function which fails by throwing
+export type RollStartsHook = string | ((context: RollStartsHookContext) => any);
+
+// Define the context passed to hook functions
+export interface RollStartsHookContext {
+    phase: 'before_restart' | 'after_active'; // The phase in which the hook is run.
+    generation: number; // The generation which is about to be spawned or has become active.
+}
+
+// Define the error of a failed hook
+export interface RollStartsHookError extends Error {
+    hook: RollStartsHook; // The hook which failed.
+    phase: 'before_restart' | 'after_active'; // The phase in which the hook was run.
+    output: string; // The combined stdout and stderr of a shell command or the stack of a thrown error.
+    exit_code?: number | null; // The exit code of a shell command.
+}
+
+// Define a check which the master process evaluates itself for readiness or liveness
+export interface RollStartsCheck {
+    type: 'port' | 'http' | 'stdout' | 'file' | 'delay'; // The strategy of the check.
+    port?: (child: child_process.ChildProcess, worker: number) => number; // The TCP port of the given process which must accept connections for a port check.
+    host?: string; // The host to connect to for a port check. Defaults to 127.0.0.1.
+    url?: (child: child_process.ChildProcess, worker: number) => string; // The URL of the given process which must respond with a 2xx status for an http check.
+    match?: string | RegExp; // The pattern which a line written by the child process must match for a stdout check.
+    stream?: 'stdout' | 'stderr'; // The stream which is matched for a stdout check. Defaults to stdout.
+    path?: (child: child_process.ChildProcess, worker: number) => string; // The file of the given process which must exist for a file check.
+    ms?: number; // The time in milliseconds to wait for a delay check.
+    interval_ms?: number; // The interval in milliseconds between attempts. Defaults to 250 for readiness and 5000 for liveness.
+    timeout_ms?: number; // The time in milliseconds a single port or http attempt is given. Defaults to 1000.
+    failure_threshold?: number; // The number of consecutive failed liveness checks after which the child process is restarted. Defaults to 3.
+}
+
+// Define the options for a server opened by the master process
+export interface RollStartsListenOptions {
+    name?: string; // The name used by child processes to retrieve this server. Defaults to the port or path.
+    port?: number; // The TCP port to listen on.
+    host?: string; // The IP address to listen on. Defaults to all addresses.
+    path?: string; // The path of the Unix domain socket or Windows named pipe to listen on.
+}
+
+// Define the options for watching files, directories and glob patterns
+export interface RollStartsWatchOptions {
+    paths?: string | string[]; // The files, directories and glob patterns to watch. Defaults to the root Javascript file.
+    ignore?: string[]; // The patterns to ignore. Patterns without a slash match any file or directory name along the path below the watched directory.
+    debounce_ms?: number; // The time in milliseconds to wait for changes to settle before a restart is triggered.
+}
+
+// Define the options for capturing the output of child processes
+export interface RollStartsLogsOptions {
+    console?: boolean; // Whether to write the captured lines to the stdout and stderr of the master process.
+    file?: string; // The path of the file to append the captured lines to. Failures to write it are emitted as error events.
+    format?: 'text' | 'json'; // The format of the lines, json writes one JSON object per line.
+    max_size_bytes?: number; // The size in bytes after which the file is rotated.
+    rotate_interval_ms?: number; // The time in milliseconds after which the file is rotated.
+    max_files?: number; // The number of rotated files to keep in addition to the current file.
+}
+
+// Define a line captured from the output of a child process
+export interface RollStartsLogRecord {
+    time: string; // The ISO timestamp of when the line was captured.
+    pid: number; // The PID of the child process which wrote the line.
+    generation: number; // The generation of the child process.
+    worker: number; // The worker id of the child process.
+    app?: string; // The name of the app of the child process when run by supervise().
+    stream: 'stdout' | 'stderr'; // The stream which the line was written to.
+    message: string; // The line without the trailing newline.
+    line: string; // The formatted line including the prefix.
+}
+
+// Define the details of the trigger carried by the 'restart' event
+export interface RollStartsRestartMetadata {
+    files?: string[]; // The changed files of a 'watch' or 'config' restart.
+    release?: RollStartsRelease; // The release of a 'deploy' or 'rollback' restart.
+    worker?: number; // The worker whose process crossed a limit of a 'memory' or 'cpu' restart.
+    pid?: number; // The PID of the process which crossed a limit of a 'memory' or 'cpu' restart.
+    rss_bytes?: number; // The resident set size of the process of a 'memory' restart.
+    max_memory_mb?: number; // The memory limit of a 'memory' restart.
+    cpu_percent?: number; // The CPU usage of the process of a 'cpu' restart.
+    duration_ms?: number; // The time the CPU usage stayed above the limit of a 'cpu' restart.
+    max_cpu_percent?: number; // The CPU limit of a 'cpu' restart.
+    schedule?: string; // The cron expression of a 'schedule' restart.
+    every_ms?: number; // The interval of a 'schedule' restart.
+    [key: string]: any; // The details passed with a restart request.
+}
+
+// Define the reasons a generation is started for along with any custom reason passed to manager.restart()
+export type RollStartsRestartReason =
+    | 'start' // The initial start of the application.
+    | 'manual' // A call of manager.restart() without a reason.
+    | 'watch' // A change to a watched file.
+    | 'config' // A change to the configuration file.
+    | 'child' // A request of a child process with restart().
+    | 'signal' // A restart signal received by the master process.
+    | 'control' // A restart command of the rollstarts CLI.
+    | 'deploy' // A deploy of a new release.
+    | 'rollback' // A rollback to a previous release.
+    | 'memory' // A process which crossed the memory limit.
+    | 'cpu' // A process which stayed above the CPU limit.
+    | 'schedule' // The restart schedule or interval.
+    | (string & {});
+
+// Define the request accepted by manager.restart()
+export interface RollStartsRestartRequest {
+    reason?: string; // The reason for the restart which is counted within the stats and carried by the 'restart' event. Defaults to 'manual'.
+    metadata?: RollStartsRestartMetadata; // The details of the trigger which are carried by the 'restart' event.
+}
+
+// Define the options for the local HTTP listener which serves the stats
+export interface RollStartsMetricsOptions {
+    port?: number; // The TCP port of the local HTTP listener. Defaults to 9464.
+    host?: string; // The address of the local HTTP listener. Defaults to 127.0.0.1.
+}
+
+// Define the stats of the active process of a worker
+export interface RollStartsWorkerStats {
+    id: number; // The id of the worker.
+    pid: number | null; // The PID of the active process of the worker (if any).
+    generation: number | null; // The generation of the active process.
+    uptime_ms: number | null; // The time in milliseconds since the active process was spawned.
+    rss_bytes: number | null; // The resident set size of the active process. This is null where it cannot be sampled.
+    cpu_percent: number | null; // The CPU usage of the active process since the previous stats were read or since it was spawned. This is null where it cannot be sampled.
+}
+
+// Define the stats returned by manager.stats()
+export interface RollStartsStats {
+    pid: number; // The PID of the master process.
+    uptime_ms: number; // The uptime of the master process in milliseconds.
+    generation: number; // The number of rolling restarts which have been started.
+    in_flight: boolean; // Whether a rolling restart is currently in flight.
+    restarts: { total: number; by_reason: { [reason: string]: number } }; // The number of rolling restarts by their reason.
+    restart_duration: {
+        count: number;
+        sum_ms: number;
+        last_ms: number | null;
+        avg_ms: number | null;
+        max_ms: number | null;
+    }; // The time from spawning a process to it becoming ready.
+    crashes: number; // The number of processes which exited without being stopped by the manager.
+    workers: RollStartsWorkerStats[]; // The stats of the active process of each worker.
+}
+
+// Define the options of the inspector of each child process
+export interface RollStartsInspectOptions {
+    host?: string; // The host which the inspector of each child process listens on. Defaults to '127.0.0.1'.
+    port?: number; // The first port of the default ports which hold two ports per worker so each process alternates with the process it replaces. Defaults to 9229.
+    ports?: number[]; // The ports which are handed out to the child processes instead of the default ports.
+    break?: boolean; // Whether to pause the processes spawned by restarts and recoveries on their first line with --inspect-brk until a debugger attaches. The startup timeout still applies while a process is paused.
+}
+
+// Define the action taken once a process exits while it is in use
+// A 'recover' action recovers with a backoff, 'restart-after-delay' restarts after a fixed delay which defaults to 5000 milliseconds without consuming recovery attempts,
+// 'exit-master' stops every process and exits the master process with the exit code and 'ignore' leaves the worker without a process
+export type RollStartsExitPolicy =
+    | 'recover'
+    | 'exit-master'
+    | 'ignore'
+    | 'restart-after-delay'
+    | { action: 'restart-after-delay'; delay_ms?: number };
+
+// Define the exit of a process which is replaced by another
+export interface RollStartsExit {
+    pid: number; // The PID of the process.
+    exit_code: number | null; // The exit code of the process or null while it is running or if it was terminated by a signal.
+    signal: NodeJS.Signals | null; // The signal which terminated the process or null while it is running or if it exited by itself.
+}
+
+// Define the status returned by status() within a child process
+export interface RollStartsStatus {
+    generation: number; // The generation which the child process was started for.
+    reason: RollStartsRestartReason | 'recover'; // The reason the child process was started, which is the reason of its generation or 'recover' for a recovery. The initial start is 'start' and a request of a child process is 'child'.
+    restarts: number; // The number of rolling restarts which have been started.
+    previous: RollStartsExit | null; // The process which the child process replaces with a null exit code and signal while it is still running (if any).
+    in_flight: boolean; // Whether a rolling restart is currently in flight so a replacement may be starting.
+}